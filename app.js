@@ -8,7 +8,16 @@ require("dotenv").config();
 const setupSwagger = require("./utils/swagger");
 
 const db = require("./models/index");
-db.connectDb().catch(console.error);
+const { startReservationSweeper } = require("./utils/stockReservation");
+const { startBatchExpirySweeper } = require("./utils/stockBatch");
+const { startPriceScheduleSweeper } = require("./utils/pricing");
+db.connectDb()
+  .then(() => {
+    startReservationSweeper();
+    startBatchExpirySweeper();
+    startPriceScheduleSweeper();
+  })
+  .catch(console.error);
 
 var indexRouter = require("./index");
 var usersRouter = require("./routes/users");
@@ -24,6 +33,16 @@ const customerRoute = require("./routes/customerRoute");
 const feedbackRoute = require("./routes/feedbackRoute");
 const routineRoute = require("./routes/routineRoute");
 const quizRoute = require("./routes/quizRoute");
+const cartRoute = require("./routes/cartRoute");
+const promotionRoute = require("./routes/promotionRoute");
+const ingredientRoute = require("./routes/ingredientRoute");
+const conflictRoute = require("./routes/conflictRoute");
+const inventoryRoute = require("./routes/inventoryRoute");
+const refundPolicyRoute = require("./routes/refundPolicyRoute");
+const refundRoute = require("./routes/refundRoute");
+const returnRoute = require("./routes/returnRoute");
+const addressRoute = require("./routes/addressRoute");
+const shippingRoute = require("./routes/shippingRoute");
 
 var app = express();
 app.use(cors());
@@ -52,6 +71,16 @@ app.use("/api/customers", customerRoute);
 app.use("/api/feedback", feedbackRoute);
 app.use("/api/routines", routineRoute);
 app.use("/api/quiz-questions", quizRoute);
+app.use("/api/cart", cartRoute);
+app.use("/api/promotions", promotionRoute);
+app.use("/api/ingredients", ingredientRoute);
+app.use("/api/conflicts", conflictRoute);
+app.use("/api/inventory", inventoryRoute);
+app.use("/api/refund-policy", refundPolicyRoute);
+app.use("/api/refunds", refundRoute);
+app.use("/api/returns", returnRoute);
+app.use("/api/addresses", addressRoute);
+app.use("/api/shipping", shippingRoute);
 
 setupSwagger(app);
 
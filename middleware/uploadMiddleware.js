@@ -0,0 +1,66 @@
+const multer = require("multer");
+
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024;
+const MAX_IMAGES_PER_UPLOAD = 10;
+const ALLOWED_IMPORT_TYPES = ["text/csv", "application/json", "application/vnd.ms-excel", "text/plain"];
+const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new Error(`Only ${ALLOWED_IMAGE_TYPES.join(", ")} images are allowed.`));
+    }
+    cb(null, true);
+  },
+});
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMPORT_TYPES.includes(file.mimetype) && !/\.(csv|json)$/i.test(file.originalname)) {
+      return cb(new Error("Only CSV and JSON files can be imported."));
+    }
+    cb(null, true);
+  },
+});
+
+// Wraps multer so upload problems are answered with 400 like the other validation errors.
+const uploadImages = (fieldName) => (req, res, next) => {
+  imageUpload.array(fieldName, MAX_IMAGES_PER_UPLOAD)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({ message: `Each image must be at most ${MAX_IMAGE_SIZE / 1024 / 1024}MB.` });
+    }
+    if (error.code === "LIMIT_FILE_COUNT") {
+      return res.status(400).json({ message: `At most ${MAX_IMAGES_PER_UPLOAD} images can be uploaded at once.` });
+    }
+    if (error.code === "LIMIT_UNEXPECTED_FILE") {
+      return res.status(400).json({ message: `Images must be sent in the "${fieldName}" field.` });
+    }
+    res.status(400).json({ message: error.message });
+  });
+};
+
+// Accepts an optional single import file; JSON requests without a file pass straight through.
+const uploadImportFile = (fieldName) => (req, res, next) => {
+  importUpload.single(fieldName)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({ message: `Import files must be at most ${MAX_IMPORT_SIZE / 1024 / 1024}MB.` });
+    }
+    if (error.code === "LIMIT_UNEXPECTED_FILE" || error.code === "LIMIT_FILE_COUNT") {
+      return res.status(400).json({ message: `Send one file in the "${fieldName}" field.` });
+    }
+    res.status(400).json({ message: error.message });
+  });
+};
+
+module.exports = { uploadImages, uploadImportFile };
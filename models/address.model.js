@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// A delivery address in a customer's address book. Vietnamese addresses are province (tỉnh/thành phố),
+// district (quận/huyện) and ward (phường/xã), each kept by name with its optional administrative code.
+const AddressSchema = mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    label: {
+      type: String,
+    },
+    recipientName: {
+      type: String,
+      required: true,
+    },
+    phone: {
+      type: String,
+      required: true,
+    },
+    street: {
+      type: String,
+      required: true,
+    },
+    ward: {
+      type: String,
+      required: true,
+    },
+    wardCode: {
+      type: String,
+    },
+    district: {
+      type: String,
+      required: true,
+    },
+    districtCode: {
+      type: String,
+    },
+    province: {
+      type: String,
+      required: true,
+    },
+    provinceCode: {
+      type: String,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { timestamps: true }
+);
+
+AddressSchema.index({ account: 1, isDefault: -1, createdAt: -1 });
+
+const Address = mongoose.model("Address", AddressSchema);
+
+module.exports = Address;
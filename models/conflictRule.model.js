@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const hasIngredients = {
+  validator: (ingredients) => ingredients.length > 0,
+  message: "Each side of a conflict rule needs at least one ingredient!!!",
+};
+
+// Two products conflict under a rule when one contains an ingredient of `ingredientsA`
+// and the other one an ingredient of `ingredientsB`.
+const ConflictRuleSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Rule name is required!!!"],
+      trim: true,
+    },
+    ingredientsA: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Ingredient" }],
+      validate: hasIngredients,
+    },
+    ingredientsB: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Ingredient" }],
+      validate: hasIngredients,
+    },
+    severity: {
+      type: String,
+      enum: ["low", "medium", "high"],
+      default: "medium",
+    },
+    explanation: {
+      type: String,
+      required: [true, "Explanation is required!!!"],
+    },
+    recommendation: {
+      type: String,
+    },
+    status: {
+      type: Boolean,
+      default: true,
+    },
+    createBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+const ConflictRule = mongoose.model("ConflictRule", ConflictRuleSchema);
+
+module.exports = ConflictRule;
@@ -28,6 +28,8 @@ const feedbackSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+feedbackSchema.index({ product: 1 });
+
 const Feedback = mongoose.model("Feedback", feedbackSchema);
 
 module.exports = Feedback;
@@ -10,6 +10,20 @@ const Feedback = require("./feedback.model");
 const Promotion = require("./promotion.model");
 const Routine = require("./routine.model");
 const QuizQuestion = require("./quiz.model");
+const Cart = require("./cart.model");
+const PromotionRedemption = require("./promotionRedemption.model");
+const PromotionUsage = require("./promotionUsage.model");
+const Ingredient = require("./ingredient.model");
+const ConflictRule = require("./conflictRule.model");
+const InventoryMovement = require("./inventoryMovement.model");
+const Stocktake = require("./stocktake.model");
+const StockBatch = require("./stockBatch.model");
+const PriceHistory = require("./priceHistory.model");
+const RefundPolicy = require("./refundPolicy.model");
+const Refund = require("./refund.model");
+const ReturnRequest = require("./returnRequest.model");
+const Address = require("./address.model");
+const ShippingPolicy = require("./shippingPolicy.model");
 
 const db = {};
 
@@ -23,6 +37,20 @@ db.Feedback = Feedback;
 db.Promotion = Promotion;
 db.Routine = Routine;
 db.QuizQuestion = QuizQuestion;
+db.Cart = Cart;
+db.PromotionRedemption = PromotionRedemption;
+db.PromotionUsage = PromotionUsage;
+db.Ingredient = Ingredient;
+db.ConflictRule = ConflictRule;
+db.InventoryMovement = InventoryMovement;
+db.Stocktake = Stocktake;
+db.StockBatch = StockBatch;
+db.PriceHistory = PriceHistory;
+db.RefundPolicy = RefundPolicy;
+db.Refund = Refund;
+db.ReturnRequest = ReturnRequest;
+db.Address = Address;
+db.ShippingPolicy = ShippingPolicy;
 
 db.connectDb = async () => {
   try {
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+const IngredientSchema = mongoose.Schema(
+  {
+    inciName: {
+      type: String,
+      required: [true, "INCI name is required!!!"],
+      trim: true,
+    },
+    commonName: {
+      type: String,
+      trim: true,
+    },
+    // Other names customers search for, e.g. "Vitamin B3" for Niacinamide.
+    aliases: {
+      type: [String],
+      default: [],
+    },
+    functions: {
+      type: [String],
+      default: [],
+    },
+    description: {
+      type: String,
+    },
+    allergens: {
+      type: [
+        {
+          type: String,
+          enum: [
+            "fragrance",
+            "alcohol",
+            "essential_oil",
+            "paraben",
+            "sulfate",
+            "silicone",
+            "formaldehyde_releaser",
+            "lanolin",
+            "nut",
+          ],
+        },
+      ],
+      default: [],
+    },
+    status: {
+      type: Boolean,
+      default: true,
+    },
+    createBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+IngredientSchema.index({ inciName: 1 }, { unique: true, collation: { locale: "en", strength: 2 } });
+IngredientSchema.index({ allergens: 1 });
+
+const Ingredient = mongoose.model("Ingredient", IngredientSchema);
+
+module.exports = Ingredient;
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// One entry per stock change. `quantity` is signed (negative when stock leaves) and `balance`
+// is the stock of the product, or of the variant for variant lines, right after the change.
+const InventoryMovementSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    type: {
+      type: String,
+      enum: ["sale", "cancel_restock", "adjustment", "import", "receive", "write_off", "stocktake", "return_restock"],
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+    },
+    balance: {
+      type: Number,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+    reason: {
+      type: String,
+    },
+    // Set for goods received.
+    supplier: {
+      type: String,
+    },
+    brand: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Brand",
+    },
+    batch: {
+      type: String,
+    },
+    stockBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "StockBatch",
+    },
+    stocktake: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Stocktake",
+    },
+  },
+  { timestamps: true }
+);
+
+InventoryMovementSchema.index({ product: 1, createdAt: -1 });
+InventoryMovementSchema.index({ type: 1, createdAt: -1 });
+
+const InventoryMovement = mongoose.model("InventoryMovement", InventoryMovementSchema);
+
+module.exports = InventoryMovement;
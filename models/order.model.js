@@ -9,7 +9,18 @@ const OrderSchema = mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["Pending", "Paid", "Canceled"],
+      enum: [
+        "Pending",
+        "Paid",
+        "Failed",
+        "Confirmed",
+        "Packing",
+        "Shipping",
+        "Delivered",
+        "Returned",
+        "Canceled",
+        "Refunded",
+      ],
       default: "Pending",
     },
     items: [
@@ -19,25 +30,146 @@ const OrderSchema = mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
         quantity: {
           type: Number,
           required: true,
           min: 1,
         },
+        // Snapshot of the product when the order was placed, so the order reads the same after the product
+        // is renamed, repriced or deleted. The unit price is the effective one, sale prices included.
+        name: {
+          type: String,
+        },
+        variantName: {
+          type: String,
+        },
+        sku: {
+          type: String,
+        },
+        image: {
+          type: String,
+        },
+        price: {
+          type: Number,
+        },
+        lineTotal: {
+          type: Number,
+        },
+        // Units canceled by the customer; the rest of the line is still to be delivered.
+        canceledQuantity: {
+          type: Number,
+          default: 0,
+        },
+        // Units delivered and then received back through a return request.
+        returnedQuantity: {
+          type: Number,
+          default: 0,
+        },
+        // Units set aside by return requests that were not received yet. A rejected request gives them back
+        // to the line, a received one moves them to returnedQuantity.
+        returnRequestedQuantity: {
+          type: Number,
+          default: 0,
+        },
+        // The stock batches the units still held were taken from, earliest expiry first.
+        batches: [
+          {
+            _id: false,
+            batch: { type: mongoose.Schema.Types.ObjectId, ref: "StockBatch" },
+            quantity: { type: Number },
+          },
+        ],
       },
     ],
     promotion: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Promotion",
     },
+    promotionCode: {
+      type: String,
+    },
+    pricing: {
+      subtotal: { type: Number },
+      discount: { type: Number, default: 0 },
+      freeShipping: { type: Boolean, default: false },
+      shippingFee: { type: Number, default: 0 },
+      total: { type: Number },
+    },
     totalAmount: {
       type: Number,
       required: true,
     },
+    // Copy of the address book entry chosen at checkout, so later edits to the address book do not move
+    // orders already placed.
+    shippingAddress: {
+      address: { type: mongoose.Schema.Types.ObjectId, ref: "Address" },
+      recipientName: { type: String },
+      phone: { type: String },
+      street: { type: String },
+      ward: { type: String },
+      wardCode: { type: String },
+      district: { type: String },
+      districtCode: { type: String },
+      province: { type: String },
+      provinceCode: { type: String },
+    },
+    statusHistory: [
+      {
+        from: { type: String },
+        status: { type: String, required: true },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Account",
+        },
+        note: { type: String },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // The parcel: its weight and rate zone from checkout, then the carrier shipment and its tracking updates.
+    shipping: {
+      weight: { type: Number },
+      zone: { type: String },
+      carrier: { type: String },
+      trackingNumber: { type: String },
+      status: {
+        type: String,
+        enum: ["ready_to_pick", "picked_up", "in_transit", "delivered", "failed", "returned", "canceled"],
+      },
+      expectedDeliveryAt: { type: Date },
+      history: [
+        {
+          _id: false,
+          status: { type: String, required: true },
+          note: { type: String },
+          occurredAt: { type: Date, default: Date.now },
+        },
+      ],
+    },
+    reservationExpiresAt: {
+      type: Date,
+    },
+    // Set along with the cancellation of an expired order until its stock and promotion usage are given back.
+    stockReleasePending: {
+      type: Boolean,
+    },
+    payment: {
+      transactionNo: { type: String },
+      bankCode: { type: String },
+      responseCode: { type: String },
+      payDate: { type: String },
+      verifiedAt: { type: Date },
+    },
   },
   { timestamps: true }
 );
 
+OrderSchema.index({ status: 1, reservationExpiresAt: 1 });
+OrderSchema.index({ "items.product": 1, status: 1 });
+OrderSchema.index({ "shipping.carrier": 1, "shipping.trackingNumber": 1 });
+
 const Order = mongoose.model("Order", OrderSchema);
 
 module.exports = Order;
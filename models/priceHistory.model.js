@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// One entry per price a product, or one of its variants, has been sold at. "price" entries are changes of
+// the base price and last until the next one; "sale" entries cover a temporary price between `startsAt`
+// and `endsAt`.
+const PriceHistorySchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    type: {
+      type: String,
+      enum: ["price", "sale"],
+      default: "price",
+    },
+    price: {
+      type: Number,
+      required: true,
+    },
+    previousPrice: {
+      type: Number,
+    },
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    endsAt: {
+      type: Date,
+    },
+    // The scheduled change or sale of the product the entry comes from, if any.
+    priceChange: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+    note: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+PriceHistorySchema.index({ product: 1, startsAt: -1 });
+
+const PriceHistory = mongoose.model("PriceHistory", PriceHistorySchema);
+
+module.exports = PriceHistory;
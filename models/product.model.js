@@ -1,11 +1,114 @@
 const mongoose = require("mongoose");
 
+const VariantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, "Variant SKU is required!!!"],
+    trim: true,
+  },
+  attributes: {
+    size: { type: String },
+    volume: { type: String },
+    shade: { type: String },
+  },
+  price: {
+    type: Number,
+    required: [true, "Variant price is required!!!"],
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  image: {
+    type: String,
+  },
+  // Grams per unit, the product weight when not set.
+  weight: {
+    type: Number,
+    min: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// A price that is not in effect yet. A "scheduled" price replaces the product (or variant) price from
+// `startsAt` on, a "sale" price overrides it from `startsAt` until `endsAt` and leaves it unchanged.
+const PriceChangeSchema = new mongoose.Schema({
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  type: {
+    type: String,
+    enum: ["scheduled", "sale"],
+    required: true,
+  },
+  price: {
+    type: Number,
+    required: [true, "Price is required!!!"],
+    min: 0,
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+  },
+  endsAt: {
+    type: Date,
+  },
+  note: {
+    type: String,
+  },
+  createBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Account",
+  },
+});
+
+const ImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  thumbnailUrl: {
+    type: String,
+  },
+  // Storage keys, only set for files uploaded through the API.
+  key: {
+    type: String,
+  },
+  thumbnailKey: {
+    type: String,
+  },
+  alt: {
+    type: String,
+    default: "",
+  },
+  isPrimary: {
+    type: Boolean,
+    default: false,
+  },
+  width: {
+    type: Number,
+  },
+  height: {
+    type: Number,
+  },
+});
+
 const ProductSchema = mongoose.Schema(
   {
     name: {
       type: String,
       required: [true, "Product name is required!!!"],
     },
+    // Identifies the product in bulk imports; variants carry their own SKUs.
+    sku: {
+      type: String,
+      trim: true,
+    },
     description: {
       type: String,
       required: [true, "Product description is required!!!"],
@@ -20,7 +123,16 @@ const ProductSchema = mongoose.Schema(
     },
     image: {
       type: String,
-      required: [true, "Product image is required!!!"],
+      required: [
+        function () {
+          return this.images.length === 0;
+        },
+        "Product image is required!!!",
+      ],
+    },
+    images: {
+      type: [ImageSchema],
+      default: [],
     },
     suitableSkin: {
       type: mongoose.Schema.Types.ObjectId,
@@ -41,14 +153,73 @@ const ProductSchema = mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "Account",
     },
+    // Listed in INCI order, i.e. by decreasing concentration.
+    ingredients: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Ingredient",
+      },
+    ],
+    // Grams per unit, used for the shipping fee. Falls back to DEFAULT_ITEM_WEIGHT_GRAMS when not set.
+    weight: {
+      type: Number,
+      min: 0,
+    },
+    // Falls back to LOW_STOCK_THRESHOLD when not set. Applies to each variant of products with variants.
+    lowStockThreshold: {
+      type: Number,
+      min: 0,
+    },
+    variants: {
+      type: [VariantSchema],
+      default: [],
+    },
+    // Scheduled prices and sales; applied or removed once they take effect or end.
+    priceChanges: {
+      type: [PriceChangeSchema],
+      default: [],
+    },
     isDeleted: {
       type: Boolean,
       default: false,
     },
+    deletedAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
+ProductSchema.index({ name: "text", description: "text" }, { weights: { name: 5, description: 1 } });
+ProductSchema.index({ isDeleted: 1, createdAt: -1 });
+ProductSchema.index({ isDeleted: 1, price: 1 });
+ProductSchema.index({ brand: 1 });
+ProductSchema.index({ category: 1 });
+ProductSchema.index({ suitableSkin: 1 });
+ProductSchema.index({ ingredients: 1 });
+ProductSchema.index({ "priceChanges.startsAt": 1 });
+ProductSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: "string" } } });
+ProductSchema.index(
+  { "variants.sku": 1 },
+  { unique: true, partialFilterExpression: { "variants.sku": { $exists: true } } }
+);
+
+// For products with variants, `quantity` is kept equal to the stock of all variants together
+// so listings and stock filters keep working on the product level. Likewise `image` always
+// mirrors the primary image of the gallery for clients that only show one picture.
+ProductSchema.pre("validate", function (next) {
+  if (this.variants.length > 0) {
+    this.quantity = this.variants.reduce((sum, variant) => sum + variant.quantity, 0);
+  }
+  if (this.images.length > 0) {
+    if (!this.images.some((image) => image.isPrimary)) {
+      this.images[0].isPrimary = true;
+    }
+    this.image = this.images.find((image) => image.isPrimary).url;
+  }
+  next();
+});
+
 const Product = mongoose.model("Product", ProductSchema);
 
 module.exports = Product;
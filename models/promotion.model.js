@@ -8,14 +8,59 @@ const promotionSchema = new mongoose.Schema({
     required: [true, "Code is required"],
     unique: [true, "Code is already existed"],
   },
+  type: {
+    type: String,
+    enum: ["percentage", "fixed", "free_shipping"],
+    default: "percentage",
+  },
   discount: {
     type: Number,
-    required: [true, "Discount is required"],
+    required: [
+      function () {
+        return this.type !== "free_shipping";
+      },
+      "Discount is required",
+    ],
+    default: 0,
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
   },
+  maxDiscount: {
+    type: Number,
+  },
+  applicableProducts: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+  ],
+  applicableBrands: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Brand",
+    },
+  ],
+  applicableCategories: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+  ],
+  applicableSkins: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Skin",
+    },
+  ],
   createBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Account",
   },
+  startAt: {
+    type: Date,
+  },
   expiredAt: {
     type: Date,
     required: [true, "Expired date is required"],
@@ -24,6 +69,18 @@ const promotionSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  usageLimit: {
+    type: Number,
+    min: 1,
+  },
+  perCustomerLimit: {
+    type: Number,
+    min: 1,
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+  },
 });
 
 const Promotion = mongoose.model("Promotion", promotionSchema);
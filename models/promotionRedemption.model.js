@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+const PromotionRedemptionSchema = mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    status: {
+      type: String,
+      enum: ["Applied", "Released"],
+      default: "Applied",
+    },
+  },
+  { timestamps: true }
+);
+
+PromotionRedemptionSchema.index({ promotion: 1, account: 1, status: 1 });
+
+const PromotionRedemption = mongoose.model("PromotionRedemption", PromotionRedemptionSchema);
+
+module.exports = PromotionRedemption;
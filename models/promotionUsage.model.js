@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// How many times an account has redeemed a promotion with a per-customer limit. Redemptions bump the
+// counter with a conditional update, so concurrent checkouts cannot go past the limit.
+const PromotionUsageSchema = mongoose.Schema(
+  {
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Promotion",
+      required: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+PromotionUsageSchema.index({ promotion: 1, account: 1 }, { unique: true });
+
+const PromotionUsage = mongoose.model("PromotionUsage", PromotionUsageSchema);
+
+module.exports = PromotionUsage;
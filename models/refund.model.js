@@ -0,0 +1,118 @@
+const mongoose = require("mongoose");
+
+const RefundLineSchema = new mongoose.Schema(
+  {
+    // The order item the units were canceled or returned from.
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    name: {
+      type: String,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // What the customer paid for these units, order discount included.
+    amount: {
+      type: Number,
+      required: true,
+    },
+    percent: {
+      type: Number,
+      required: true,
+    },
+    refund: {
+      type: Number,
+      required: true,
+    },
+    // The refund policy rule that decided the percentage.
+    rule: {
+      type: String,
+      enum: ["non_refundable_category", "full_refund_status", "time_since_payment", "default", "return"],
+    },
+  },
+  { _id: false }
+);
+
+const RefundSchema = mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+    lines: {
+      type: [RefundLineSchema],
+      default: [],
+    },
+    // The shipping fee, given back when the cancellation leaves nothing of the order to ship.
+    shippingFee: {
+      type: Number,
+      default: 0,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    reason: {
+      type: String,
+    },
+    // Set for refunds of returned goods.
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReturnRequest",
+    },
+    // requested -> approved -> processing -> completed, or rejected by a manager. A refund the gateway
+    // refuses goes back from processing to approved so it can be sent again.
+    status: {
+      type: String,
+      enum: ["requested", "approved", "processing", "completed", "rejected"],
+      default: "requested",
+    },
+    statusHistory: [
+      {
+        from: { type: String },
+        status: { type: String, required: true },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Account",
+        },
+        note: { type: String },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // The last answer of the VNPay refund API.
+    gateway: {
+      requestId: { type: String },
+      transactionType: { type: String },
+      transactionNo: { type: String },
+      responseCode: { type: String },
+      message: { type: String },
+      respondedAt: { type: Date },
+    },
+    createBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+RefundSchema.index({ order: 1, createdAt: -1 });
+RefundSchema.index({ status: 1, createdAt: -1 });
+
+const Refund = mongoose.model("Refund", RefundSchema);
+
+module.exports = Refund;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Rules for the refund of canceled order lines, checked in this order: lines of a non-refundable category
+// get nothing, orders in one of `fullRefundStatuses` get everything back, otherwise the first tier whose
+// `withinHours` covers the time since payment applies, and `defaultPercent` when none does.
+const RefundPolicySchema = mongoose.Schema(
+  {
+    fullRefundStatuses: {
+      type: [{ type: String, enum: ["Paid", "Confirmed", "Packing"] }],
+      default: ["Paid"],
+    },
+    tiers: {
+      type: [
+        {
+          _id: false,
+          withinHours: { type: Number, required: true, min: 0 },
+          percent: { type: Number, required: true, min: 0, max: 100 },
+        },
+      ],
+      default: [{ withinHours: 24, percent: 80 }],
+    },
+    defaultPercent: {
+      type: Number,
+      default: 50,
+      min: 0,
+      max: 100,
+    },
+    nonRefundableCategories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+const RefundPolicy = mongoose.model("RefundPolicy", RefundPolicySchema);
+
+module.exports = RefundPolicy;
@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+const ReturnLineSchema = new mongoose.Schema(
+  {
+    // The order item the units are returned from.
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    name: {
+      type: String,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // What happens to the units once they are back, decided by the manager who receives them.
+    disposition: {
+      type: String,
+      enum: ["restock", "write_off"],
+    },
+  },
+  { _id: false }
+);
+
+const PhotoSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    key: { type: String },
+    thumbnailUrl: { type: String },
+    thumbnailKey: { type: String },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
+const ReturnRequestSchema = mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    lines: {
+      type: [ReturnLineSchema],
+      default: [],
+    },
+    reason: {
+      type: String,
+      enum: ["damaged", "wrong_item", "defective", "other"],
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    photos: {
+      type: [PhotoSchema],
+      default: [],
+    },
+    // requested -> approved -> received, or rejected by a manager. Receiving the goods creates the refund.
+    status: {
+      type: String,
+      enum: ["requested", "approved", "received", "rejected"],
+      default: "requested",
+    },
+    statusHistory: [
+      {
+        from: { type: String },
+        status: { type: String, required: true },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Account",
+        },
+        note: { type: String },
+        changedAt: { type: Date, default: Date.now },
+      },
+    ],
+    refund: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Refund",
+    },
+  },
+  { timestamps: true }
+);
+
+ReturnRequestSchema.index({ order: 1, createdAt: -1 });
+ReturnRequestSchema.index({ status: 1, createdAt: -1 });
+
+const ReturnRequest = mongoose.model("ReturnRequest", ReturnRequestSchema);
+
+module.exports = ReturnRequest;
@@ -12,6 +12,11 @@ const RoutineStepSchema = new mongoose.Schema(
       required: true,
       description: "Mô tả chi tiết của bước",
     },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      description: "Sản phẩm dùng ở bước này (không bắt buộc)",
+    },
   },
   { _id: false } // Không cần _id riêng cho mỗi bước
 );
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// The fee of one shipment: `baseFee` covers the first `baseWeight` grams, every started `stepWeight` grams
+// above that adds `stepFee`. Orders worth at least `freeShippingThreshold` ship free; 0 turns it off.
+const rateFields = {
+  baseFee: { type: Number, required: true, min: 0 },
+  baseWeight: { type: Number, required: true, min: 0 },
+  stepWeight: { type: Number, required: true, min: 1 },
+  stepFee: { type: Number, required: true, min: 0 },
+  freeShippingThreshold: { type: Number, default: 0, min: 0 },
+};
+
+// Destinations are matched against the zones in order by province code or name; provinces in no zone
+// ship at the default rate.
+const ShippingPolicySchema = mongoose.Schema(
+  {
+    zones: {
+      type: [
+        {
+          _id: false,
+          name: { type: String, required: true },
+          provinces: { type: [String], default: [] },
+          ...rateFields,
+        },
+      ],
+      default: [],
+    },
+    defaultRate: {
+      type: new mongoose.Schema(rateFields, { _id: false }),
+      default: () => ({
+        baseFee: 35000,
+        baseWeight: 500,
+        stepWeight: 500,
+        stepFee: 5000,
+        freeShippingThreshold: 500000,
+      }),
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+const ShippingPolicy = mongoose.model("ShippingPolicy", ShippingPolicySchema);
+
+module.exports = ShippingPolicy;
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// Stock received with an expiry date. `quantity` is what is left of the batch; the product (or variant)
+// quantity is the sum of its batches plus any untracked stock received before batches were recorded.
+const StockBatchSchema = mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    batchNumber: {
+      type: String,
+      required: [true, "Batch number is required!!!"],
+      trim: true,
+    },
+    manufacturedAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry date is required!!!"],
+    },
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+    },
+    // Units taken off sale when the batch expired.
+    expiredQuantity: {
+      type: Number,
+      default: 0,
+    },
+    supplier: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["active", "expired"],
+      default: "active",
+    },
+  },
+  { timestamps: true }
+);
+
+StockBatchSchema.index({ product: 1, variant: 1, batchNumber: 1 }, { unique: true });
+StockBatchSchema.index({ product: 1, variant: 1, status: 1, expiresAt: 1 });
+StockBatchSchema.index({ expiresAt: 1, quantity: 1 });
+
+const StockBatch = mongoose.model("StockBatch", StockBatchSchema);
+
+module.exports = StockBatch;
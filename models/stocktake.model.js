@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+const StocktakeLineSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    systemQuantity: {
+      type: Number,
+      required: true,
+    },
+    countedQuantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // countedQuantity - systemQuantity: negative for missing goods.
+    discrepancy: {
+      type: Number,
+      required: true,
+    },
+    // False when the stock kept changing while reconciling and the count could not be applied.
+    applied: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+const StocktakeSchema = mongoose.Schema(
+  {
+    lines: {
+      type: [StocktakeLineSchema],
+      default: [],
+    },
+    note: {
+      type: String,
+    },
+    createBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+    },
+  },
+  { timestamps: true }
+);
+
+const Stocktake = mongoose.model("Stocktake", StocktakeSchema);
+
+module.exports = Stocktake;
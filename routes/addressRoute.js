@@ -0,0 +1,296 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { MAX_ADDRESSES, validateAddress, setDefaultAddress, promoteDefaultAddress } = require("../utils/address");
+
+const addressRoute = express.Router();
+
+const findOwnAddress = async (id, account) =>
+  mongoose.Types.ObjectId.isValid(id) ? db.Address.findOne({ _id: id, account }) : null;
+
+const sendAddressError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Addresses
+ *   description: API for the customer's address book
+ */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Address:
+ *       type: object
+ *       required:
+ *         - recipientName
+ *         - phone
+ *         - street
+ *         - ward
+ *         - district
+ *         - province
+ *       properties:
+ *         _id:
+ *           type: string
+ *         label:
+ *           type: string
+ *           example: "Nhà riêng"
+ *         recipientName:
+ *           type: string
+ *           example: "Nguyễn Văn A"
+ *         phone:
+ *           type: string
+ *           example: "0912345678"
+ *         street:
+ *           type: string
+ *           description: House number and street
+ *           example: "12 Nguyễn Huệ"
+ *         ward:
+ *           type: string
+ *           description: Phường/xã
+ *           example: "Phường Bến Nghé"
+ *         wardCode:
+ *           type: string
+ *           description: The administrative code of the ward
+ *           example: "26734"
+ *         district:
+ *           type: string
+ *           description: Quận/huyện
+ *           example: "Quận 1"
+ *         districtCode:
+ *           type: string
+ *           example: "760"
+ *         province:
+ *           type: string
+ *           description: Tỉnh/thành phố
+ *           example: "Thành phố Hồ Chí Minh"
+ *         provinceCode:
+ *           type: string
+ *           example: "79"
+ *         isDefault:
+ *           type: boolean
+ *           description: Used at checkout when no address is chosen
+ */
+
+/**
+ * @swagger
+ * /api/addresses:
+ *   get:
+ *     tags:
+ *       - Addresses
+ *     summary: List your addresses, the default one first
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+addressRoute.get("/", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    const addresses = await db.Address.find({ account: req.user._id }).sort({ isDefault: -1, createdAt: -1 });
+    res.status(200).json(addresses);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/addresses:
+ *   post:
+ *     tags:
+ *       - Addresses
+ *     summary: Add an address to your address book
+ *     description: The first address, or one sent with isDefault, becomes the default address.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       201:
+ *         description: Address added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Address'
+ *       400:
+ *         description: Missing fields, invalid phone number or the address book is full
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+addressRoute.post("/", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    const fields = validateAddress(req.body);
+    const count = await db.Address.countDocuments({ account: req.user._id });
+    if (count >= MAX_ADDRESSES) {
+      return res.status(400).json({ message: `An address book holds at most ${MAX_ADDRESSES} addresses.` });
+    }
+
+    let address = await db.Address.create({ ...fields, account: req.user._id });
+    if (count === 0 || req.body.isDefault === true) {
+      address = await setDefaultAddress(req.user._id, address._id);
+    }
+    res.status(201).json(address);
+  } catch (error) {
+    sendAddressError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/addresses/{id}:
+ *   put:
+ *     tags:
+ *       - Addresses
+ *     summary: Update an address
+ *     description: Only the fields sent are changed. Orders already placed keep the address they were placed with.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The address ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Address'
+ *       400:
+ *         description: Empty required fields or invalid phone number
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+addressRoute.put("/:id", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    const fields = validateAddress(req.body, { partial: true });
+    let address = await findOwnAddress(req.params.id, req.user._id);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    Object.assign(address, fields);
+    address = await address.save();
+    if (req.body.isDefault === true && !address.isDefault) {
+      address = await setDefaultAddress(req.user._id, address._id);
+    }
+    res.status(200).json(address);
+  } catch (error) {
+    sendAddressError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/addresses/{id}/default:
+ *   patch:
+ *     tags:
+ *       - Addresses
+ *     summary: Make an address your default address
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The address ID
+ *     responses:
+ *       200:
+ *         description: Default address changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Address'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+addressRoute.patch("/:id/default", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    const address = await findOwnAddress(req.params.id, req.user._id);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+    res.status(200).json(await setDefaultAddress(req.user._id, address._id));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/addresses/{id}:
+ *   delete:
+ *     tags:
+ *       - Addresses
+ *     summary: Remove an address from your address book
+ *     description: When the default address is removed, the most recently added address becomes the default.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The address ID
+ *     responses:
+ *       200:
+ *         description: Address removed
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Address not found
+ *       500:
+ *         description: Internal server error
+ */
+addressRoute.delete("/:id", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    const address = await findOwnAddress(req.params.id, req.user._id);
+    if (!address) {
+      return res.status(404).json({ message: "Address not found" });
+    }
+
+    await address.deleteOne();
+    if (address.isDefault) {
+      await promoteDefaultAddress(req.user._id);
+    }
+    res.status(200).json({ message: "Address removed" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = addressRoute;
@@ -0,0 +1,399 @@
+const express = require("express");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { findVariant, getUnitPrice, getAvailableQuantity, describeVariant } = require("../utils/productVariant");
+
+const cartRoute = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: API for the customer's shopping cart
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CartView:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *                 description: The ID of the product
+ *               variant:
+ *                 type: string
+ *                 description: The ID of the chosen variant, if any
+ *               variantName:
+ *                 type: string
+ *                 example: "50ml"
+ *               name:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *                 description: The current price of the product
+ *               quantity:
+ *                 type: number
+ *               available:
+ *                 type: number
+ *                 description: The quantity currently in stock
+ *               total:
+ *                 type: number
+ *               warning:
+ *                 type: string
+ *                 enum: ["UNAVAILABLE", "OUT_OF_STOCK", "INSUFFICIENT_STOCK"]
+ *                 description: Set when the item cannot be checked out as is
+ *         totalQuantity:
+ *           type: number
+ *         subtotal:
+ *           type: number
+ *         hasWarnings:
+ *           type: boolean
+ */
+
+const findOrCreateCart = async (accountId) => {
+  const cart = await db.Cart.findOne({ account: accountId });
+  if (cart) {
+    return cart;
+  }
+  return new db.Cart({ account: accountId, items: [] });
+};
+
+const findCartItem = (cart, productId, variantId) =>
+  cart.items.find(
+    (item) => item.product.toString() === String(productId) && String(item.variant || "") === String(variantId || "")
+  );
+
+// Returns the error response for a product/variant that cannot be put in the cart, if any.
+const checkPurchasable = (product, variantId) => {
+  if (!product || product.isDeleted) {
+    return { status: 404, message: "Product not found" };
+  }
+  if (product.variants.length > 0 && !variantId) {
+    return { status: 400, message: `Please choose a variant of ${product.name}.` };
+  }
+  const variant = findVariant(product, variantId);
+  if (variantId && (!variant || !variant.isActive)) {
+    return { status: 404, message: "Variant not found" };
+  }
+  return null;
+};
+
+// Prices and stock are read from the products on every view, the cart itself only stores quantities.
+const buildCartView = async (cart) => {
+  await cart.populate("items.product");
+
+  const items = cart.items.map((item) => {
+    const product = item.product;
+
+    if (!product || !product._id) {
+      return {
+        product: item.product,
+        quantity: item.quantity,
+        price: 0,
+        total: 0,
+        available: 0,
+        warning: "UNAVAILABLE",
+      };
+    }
+
+    const variant = findVariant(product, item.variant);
+    const price = getUnitPrice(product, variant);
+    const available = getAvailableQuantity(product, variant);
+
+    let warning;
+    if (product.isDeleted || (item.variant ? !variant || !variant.isActive : product.variants.length > 0)) {
+      warning = "UNAVAILABLE";
+    } else if (available <= 0) {
+      warning = "OUT_OF_STOCK";
+    } else if (available < item.quantity) {
+      warning = "INSUFFICIENT_STOCK";
+    }
+
+    return {
+      product: product._id,
+      variant: item.variant,
+      variantName: describeVariant(variant),
+      name: product.name,
+      image: variant?.image || product.image,
+      price,
+      quantity: item.quantity,
+      available,
+      total: price * item.quantity,
+      warning,
+    };
+  });
+
+  return {
+    items,
+    totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: items.filter((item) => !item.warning).reduce((sum, item) => sum + item.total, 0),
+    hasWarnings: items.some((item) => item.warning),
+  };
+};
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     tags:
+ *       - Cart
+ *     summary: Get the cart of the logged in customer
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartView'
+ *       401:
+ *         description: Missing or invalid token
+ *       500:
+ *         description: Internal server error
+ */
+cartRoute.get("/", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req.user._id);
+    res.status(200).json(await buildCartView(cart));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     tags:
+ *       - Cart
+ *     summary: Add a product to the cart
+ *     description: Adds the quantity to the existing line if the product is already in the cart.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *                 example: "64f8a6d123abc4567e891011"
+ *               variant:
+ *                 type: string
+ *                 description: Required for products with variants
+ *               quantity:
+ *                 type: number
+ *                 example: 1
+ *     responses:
+ *       200:
+ *         description: Product added to the cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartView'
+ *       400:
+ *         description: Invalid quantity, missing variant or not enough stock
+ *       404:
+ *         description: Product or variant not found
+ *       500:
+ *         description: Internal server error
+ */
+cartRoute.post("/items", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    const { product: productId, variant: variantId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+
+    if (!productId || !Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: "A product and a positive quantity are required." });
+    }
+
+    const product = await db.Product.findById(productId);
+    const purchaseError = checkPurchasable(product, variantId);
+    if (purchaseError) {
+      return res.status(purchaseError.status).json({ message: purchaseError.message });
+    }
+
+    const cart = await findOrCreateCart(req.user._id);
+    const existingItem = findCartItem(cart, productId, variantId);
+    const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+    const available = getAvailableQuantity(product, findVariant(product, variantId));
+
+    if (available < newQuantity) {
+      return res.status(400).json({
+        message: `Not enough stock for ${product.name}. Available: ${available}, Requested: ${newQuantity}`,
+      });
+    }
+
+    if (existingItem) {
+      existingItem.quantity = newQuantity;
+    } else {
+      cart.items.push({ product: productId, variant: variantId, quantity });
+    }
+
+    await cart.save();
+    res.status(200).json(await buildCartView(cart));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/items/{productId}:
+ *   put:
+ *     tags:
+ *       - Cart
+ *     summary: Change the quantity of a product in the cart
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *         description: The variant ID, for products with variants
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: number
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Quantity updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartView'
+ *       400:
+ *         description: Invalid quantity or not enough stock
+ *       404:
+ *         description: Product not in cart
+ *       500:
+ *         description: Internal server error
+ */
+cartRoute.put("/items/:productId", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const quantity = Number(req.body.quantity);
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: "Quantity must be a positive integer." });
+    }
+
+    const cart = await findOrCreateCart(req.user._id);
+    const existingItem = findCartItem(cart, productId, req.query.variant);
+    if (!existingItem) {
+      return res.status(404).json({ message: "Product is not in the cart." });
+    }
+
+    const product = await db.Product.findById(productId);
+    const available = product ? getAvailableQuantity(product, findVariant(product, req.query.variant)) : 0;
+    if (product && available < quantity) {
+      return res.status(400).json({
+        message: `Not enough stock for ${product.name}. Available: ${available}, Requested: ${quantity}`,
+      });
+    }
+
+    existingItem.quantity = quantity;
+    await cart.save();
+    res.status(200).json(await buildCartView(cart));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart/items/{productId}:
+ *   delete:
+ *     tags:
+ *       - Cart
+ *     summary: Remove a product from the cart
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *         description: The variant ID, for products with variants
+ *     responses:
+ *       200:
+ *         description: Product removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartView'
+ *       404:
+ *         description: Product not in cart
+ *       500:
+ *         description: Internal server error
+ */
+cartRoute.delete("/items/:productId", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const cart = await findOrCreateCart(req.user._id);
+    const existingItem = findCartItem(cart, productId, req.query.variant);
+    if (!existingItem) {
+      return res.status(404).json({ message: "Product is not in the cart." });
+    }
+
+    cart.items.pull(existingItem._id);
+    await cart.save();
+    res.status(200).json(await buildCartView(cart));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cart:
+ *   delete:
+ *     tags:
+ *       - Cart
+ *     summary: Remove every product from the cart
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartView'
+ *       500:
+ *         description: Internal server error
+ */
+cartRoute.delete("/", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    const cart = await findOrCreateCart(req.user._id);
+    cart.items = [];
+    await cart.save();
+    res.status(200).json(await buildCartView(cart));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = cartRoute;
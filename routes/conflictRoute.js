@@ -0,0 +1,371 @@
+const express = require("express");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { checkIngredientIds } = require("../utils/ingredient");
+const { findConflicts } = require("../utils/ingredientConflict");
+
+const conflictRoute = express.Router();
+
+const RULE_FIELDS = ["name", "ingredientsA", "ingredientsB", "severity", "explanation", "recommendation", "status"];
+const RULE_POPULATE = { path: "ingredientsA ingredientsB", select: "inciName commonName" };
+
+// Returns an error message when a side of the rule is not a list of existing ingredients.
+const checkRuleIngredients = async (body) => {
+  for (const side of ["ingredientsA", "ingredientsB"]) {
+    if (body[side] === undefined) {
+      continue;
+    }
+    if (!Array.isArray(body[side])) {
+      return `${side} must be a list of ingredient IDs.`;
+    }
+    const error = await checkIngredientIds(body[side]);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+};
+
+const handleRuleSaveError = (res, error) => {
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Conflicts
+ *   description: API for ingredient conflict rules and checks
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConflictReport:
+ *       type: object
+ *       properties:
+ *         conflicts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               rule:
+ *                 type: object
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   name:
+ *                     type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *               explanation:
+ *                 type: string
+ *               recommendation:
+ *                 type: string
+ *               products:
+ *                 type: array
+ *                 description: The two conflicting products with the ingredients that triggered the rule
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     ingredients:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *         hasConflicts:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/conflicts/check:
+ *   post:
+ *     tags:
+ *       - Conflicts
+ *     summary: Check a set of products for conflicting ingredients
+ *     description: Use it for the products of a cart or a routine. Conflicts are sorted from high to low severity.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["64f8a6d123abc4567e891011", "64f8a6d123abc4567e891012"]
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConflictReport'
+ *       400:
+ *         description: Products is not a list of product IDs
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+conflictRoute.post("/check", async (req, res) => {
+  try {
+    const productIds = req.body.products;
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+      return res.status(400).json({ message: "Products must be a non-empty list of product IDs." });
+    }
+
+    const { products, conflicts } = await findConflicts(productIds);
+    const found = new Set(products.map((product) => product._id.toString()));
+    const missing = productIds.find((id) => !found.has(String(id)));
+    if (missing) {
+      return res.status(404).json({ message: `Product ${missing} not found` });
+    }
+
+    res.status(200).json({ conflicts, hasConflicts: conflicts.length > 0 });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conflicts/rules:
+ *   get:
+ *     tags:
+ *       - Conflicts
+ *     summary: Get all conflict rules
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ConflictRule'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+conflictRoute.get("/rules", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const rules = await db.ConflictRule.find().populate(RULE_POPULATE).sort({ createdAt: -1 });
+    res.status(200).json(rules);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conflicts/rules/{id}:
+ *   get:
+ *     tags:
+ *       - Conflicts
+ *     summary: Get conflict rule by ID
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The rule ID
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConflictRule'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Internal server error
+ */
+conflictRoute.get("/rules/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const rule = await db.ConflictRule.findById(req.params.id).populate(RULE_POPULATE);
+    if (!rule) {
+      return res.status(404).json({ message: "Rule not found" });
+    }
+    res.status(200).json(rule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conflicts/rules:
+ *   post:
+ *     tags:
+ *       - Conflicts
+ *     summary: Create a conflict rule
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Retinoids with AHA/BHA"
+ *               ingredientsA:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Ingredient IDs of the first group, e.g. retinol and retinal
+ *               ingredientsB:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Ingredient IDs of the second group, e.g. glycolic and salicylic acid
+ *               severity:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *               explanation:
+ *                 type: string
+ *                 example: "Both exfoliate and together often cause irritation and a damaged skin barrier."
+ *               recommendation:
+ *                 type: string
+ *                 example: "Use them on alternate nights."
+ *     responses:
+ *       201:
+ *         description: Rule created successfully
+ *       400:
+ *         description: Invalid data
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+conflictRoute.post("/rules", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const ingredientError = await checkRuleIngredients(req.body);
+    if (ingredientError) {
+      return res.status(400).json({ message: ingredientError });
+    }
+
+    const rule = new db.ConflictRule({ createBy: req.user._id });
+    RULE_FIELDS.filter((field) => req.body[field] !== undefined).forEach((field) => {
+      rule[field] = req.body[field];
+    });
+
+    const newRule = await rule.save();
+    res.status(201).json(newRule);
+  } catch (error) {
+    handleRuleSaveError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/conflicts/rules/{id}:
+ *   put:
+ *     tags:
+ *       - Conflicts
+ *     summary: Update a conflict rule
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConflictRule'
+ *     responses:
+ *       200:
+ *         description: Rule updated successfully
+ *       400:
+ *         description: Invalid data
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Internal server error
+ */
+conflictRoute.put("/rules/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const rule = await db.ConflictRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: "Rule not found" });
+    }
+
+    const ingredientError = await checkRuleIngredients(req.body);
+    if (ingredientError) {
+      return res.status(400).json({ message: ingredientError });
+    }
+
+    RULE_FIELDS.filter((field) => req.body[field] !== undefined).forEach((field) => {
+      rule[field] = req.body[field];
+    });
+
+    const updatedRule = await rule.save();
+    res.status(200).json(updatedRule);
+  } catch (error) {
+    handleRuleSaveError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/conflicts/rules/{id}:
+ *   delete:
+ *     tags:
+ *       - Conflicts
+ *     summary: Delete a conflict rule
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The rule ID
+ *     responses:
+ *       200:
+ *         description: Rule deleted successfully
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Rule not found
+ *       500:
+ *         description: Internal server error
+ */
+conflictRoute.delete("/rules/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const rule = await db.ConflictRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: "Rule not found" });
+    }
+    res.status(200).json({ message: "Rule deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = conflictRoute;
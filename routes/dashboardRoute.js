@@ -2,9 +2,19 @@ const express = require("express");
 const db = require("../models/index");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
+const { PAID_STATUSES } = require("../utils/orderStatus");
+const { OPEN_REFUND_STATUSES } = require("../utils/refund");
 
 const dashboardRoute = express.Router();
 
+// Units of an unwound order item that were not canceled or returned by the customer.
+const KEPT_QUANTITY = {
+  $subtract: [
+    "$items.quantity",
+    { $add: [{ $ifNull: ["$items.canceledQuantity", 0] }, { $ifNull: ["$items.returnedQuantity", 0] }] },
+  ],
+};
+
 /**
  * @swagger
  * tags:
@@ -202,6 +212,9 @@ dashboardRoute.get("/category", authMiddleware, roleMiddleware(["admin"]), async
     ]);
 
     const productCountByCategory = await db.Product.aggregate([
+      {
+        $match: { isDeleted: { $ne: true } },
+      },
       {
         $group: {
           _id: "$category",
@@ -335,10 +348,30 @@ dashboardRoute.get("/brand", authMiddleware, roleMiddleware(["admin"]), async (r
  *               properties:
  *                 totalRevenue:
  *                   type: number
- *                   description: The total revenue for the specified year
+ *                   description: >
+ *                     The total paid for the orders of the specified year, less the refunds of their canceled or
+ *                     returned units that were paid out or are still owed
+ *                 refundedAmount:
+ *                   type: number
+ *                   description: The refunds deducted from totalRevenue
  *                 totalCustomers:
  *                   type: number
  *                   description: The total number of customers who made purchases in the specified year
+ *                 products:
+ *                   type: array
+ *                   description: Units sold and revenue per product, before order discounts and without canceled units, highest revenue first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       product:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                         description: The product name on the latest order
+ *                       quantity:
+ *                         type: number
+ *                       revenue:
+ *                         type: number
  *       400:
  *         description: Bad request
  *       403:
@@ -361,26 +394,69 @@ dashboardRoute.get("/revenue", authMiddleware, roleMiddleware(["admin"]), async
       {
         $match: {
           createdAt: { $gte: startDate, $lte: endDate },
-          status: "Paid",
+          status: { $in: PAID_STATUSES },
+        },
+      },
+      // Refunds of canceled or returned units, paid out or still owed, are not revenue.
+      {
+        $lookup: {
+          from: db.Refund.collection.name,
+          let: { orderId: "$_id" },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ["$order", "$$orderId"] },
+                status: { $in: [...OPEN_REFUND_STATUSES, "completed"] },
+              },
+            },
+            { $project: { amount: 1 } },
+          ],
+          as: "refunds",
         },
       },
       {
         $group: {
           _id: null,
-          totalRevenue: { $sum: "$totalAmount" },
+          grossRevenue: { $sum: "$totalAmount" },
+          refundedAmount: { $sum: { $sum: "$refunds.amount" } },
           uniqueCustomers: { $addToSet: "$account" },
         },
       },
       {
         $project: {
           _id: 0,
-          totalRevenue: 1,
+          totalRevenue: { $subtract: ["$grossRevenue", "$refundedAmount"] },
+          refundedAmount: 1,
           totalCustomers: { $size: "$uniqueCustomers" },
         },
       },
     ]);
 
-    const result = orderStatistics[0] || { totalRevenue: 0, totalCustomers: 0 };
+    // Per product from the item snapshots, so renamed, repriced or deleted products still add up.
+    const productRevenue = await db.Order.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: startDate, $lte: endDate },
+          status: { $in: PAID_STATUSES },
+        },
+      },
+      { $unwind: "$items" },
+      {
+        $group: {
+          _id: "$items.product",
+          name: { $last: "$items.name" },
+          quantity: { $sum: KEPT_QUANTITY },
+          revenue: { $sum: { $multiply: [{ $ifNull: ["$items.price", 0] }, KEPT_QUANTITY] } },
+        },
+      },
+      { $project: { _id: 0, product: "$_id", name: 1, quantity: 1, revenue: 1 } },
+      { $sort: { revenue: -1 } },
+    ]);
+
+    const result = {
+      ...(orderStatistics[0] || { totalRevenue: 0, refundedAmount: 0, totalCustomers: 0 }),
+      products: productRevenue,
+    };
 
     res.status(200).json(result);
   } catch (error) {
@@ -420,9 +496,17 @@ dashboardRoute.get("/revenue", authMiddleware, roleMiddleware(["admin"]), async
  *                         product:
  *                           type: string
  *                           description: The ID of the product
+ *                         name:
+ *                           type: string
+ *                           description: The product name when the order was placed
  *                         quantity:
  *                           type: number
  *                           description: The quantity of the product
+ *                         price:
+ *                           type: number
+ *                           description: The unit price when the order was placed
+ *                         lineTotal:
+ *                           type: number
  *                   totalAmount:
  *                     type: number
  *                     description: The total amount of the transaction
@@ -447,4 +531,86 @@ dashboardRoute.get("/transactions", authMiddleware, roleMiddleware(["admin"]), a
   }
 });
 
+/**
+ * @swagger
+ * /api/dashboard/variant:
+ *   get:
+ *     tags:
+ *       - Dashboard
+ *     summary: Get stock and units sold per product variant
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   product:
+ *                     type: string
+ *                   productName:
+ *                     type: string
+ *                   variant:
+ *                     type: string
+ *                   sku:
+ *                     type: string
+ *                   attributes:
+ *                     type: object
+ *                   isActive:
+ *                     type: boolean
+ *                   stock:
+ *                     type: number
+ *                   sold:
+ *                     type: number
+ *                   revenue:
+ *                     type: number
+ *                     description: Unit prices times units sold in paid orders, canceled units excluded
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+dashboardRoute.get("/variant", authMiddleware, roleMiddleware(["admin"]), async (req, res) => {
+  try {
+    const sales = await db.Order.aggregate([
+      { $match: { status: { $in: PAID_STATUSES } } },
+      { $unwind: "$items" },
+      { $match: { "items.variant": { $ne: null } } },
+      {
+        $group: {
+          _id: "$items.variant",
+          sold: { $sum: KEPT_QUANTITY },
+          revenue: { $sum: { $multiply: [{ $ifNull: ["$items.price", 0] }, KEPT_QUANTITY] } },
+        },
+      },
+    ]);
+    const salesByVariant = new Map(sales.map((sale) => [sale._id.toString(), sale]));
+
+    const products = await db.Product.find({ isDeleted: { $ne: true }, "variants.0": { $exists: true } }).select(
+      "name variants"
+    );
+
+    const result = products.flatMap((product) =>
+      product.variants.map((variant) => ({
+        product: product._id,
+        productName: product.name,
+        variant: variant._id,
+        sku: variant.sku,
+        attributes: variant.attributes,
+        isActive: variant.isActive,
+        stock: variant.quantity,
+        sold: salesByVariant.get(variant._id.toString())?.sold || 0,
+        revenue: salesByVariant.get(variant._id.toString())?.revenue || 0,
+      }))
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("Error fetching variant statistics:", error);
+    res.status(500).json({ message: "Internal server error" });
+  }
+});
+
 module.exports = dashboardRoute;
@@ -0,0 +1,278 @@
+const express = require("express");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { ALLERGENS } = require("../utils/ingredient");
+
+const ingredientRoute = express.Router();
+
+const INGREDIENT_FIELDS = ["inciName", "commonName", "aliases", "functions", "description", "allergens", "status"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const handleIngredientSaveError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: "An ingredient with this INCI name already exists." });
+  }
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Ingredients
+ *   description: API for ingredients
+ */
+
+/**
+ * @swagger
+ * /api/ingredients:
+ *   get:
+ *     tags:
+ *       - Ingredients
+ *     summary: Get all ingredients
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search in the INCI name, common name and aliases
+ *       - in: query
+ *         name: allergen
+ *         schema:
+ *           type: string
+ *           enum: [fragrance, alcohol, essential_oil, paraben, sulfate, silicone, formaldehyde_releaser, lanolin, nut]
+ *         description: Only ingredients carrying this allergen flag
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Ingredient'
+ *       400:
+ *         description: Unknown allergen
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.get("/", async (req, res) => {
+  try {
+    const filter = { status: true };
+    if (req.query.q && String(req.query.q).trim()) {
+      const pattern = new RegExp(escapeRegex(String(req.query.q).trim()), "i");
+      filter.$or = [{ inciName: pattern }, { commonName: pattern }, { aliases: pattern }];
+    }
+    if (req.query.allergen) {
+      if (!ALLERGENS.includes(req.query.allergen)) {
+        return res.status(400).json({ message: `allergen must be one of ${ALLERGENS.join(", ")}.` });
+      }
+      filter.allergens = req.query.allergen;
+    }
+
+    const ingredients = await db.Ingredient.find(filter).sort({ inciName: 1 });
+    res.status(200).json(ingredients);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingredients/{id}:
+ *   get:
+ *     tags:
+ *       - Ingredients
+ *     summary: Get ingredient by ID
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ingredient ID
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Ingredient'
+ *       404:
+ *         description: Ingredient not found
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.get("/:id", async (req, res) => {
+  try {
+    const ingredient = await db.Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ message: "Ingredient not found" });
+    }
+    res.status(200).json(ingredient);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingredients:
+ *   post:
+ *     tags:
+ *       - Ingredients
+ *     summary: Create a new ingredient
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               inciName:
+ *                 type: string
+ *                 example: "Niacinamide"
+ *               commonName:
+ *                 type: string
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["Vitamin B3"]
+ *               functions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["skin conditioning", "brightening"]
+ *               description:
+ *                 type: string
+ *               allergens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Ingredient created successfully
+ *       400:
+ *         description: Invalid data or INCI name already exists
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const ingredient = new db.Ingredient({ createBy: req.user._id });
+    INGREDIENT_FIELDS.filter((field) => req.body[field] !== undefined).forEach((field) => {
+      ingredient[field] = req.body[field];
+    });
+
+    const newIngredient = await ingredient.save();
+    res.status(201).json(newIngredient);
+  } catch (error) {
+    handleIngredientSaveError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingredients/{id}:
+ *   put:
+ *     tags:
+ *       - Ingredients
+ *     summary: Update an ingredient
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ingredient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Ingredient'
+ *     responses:
+ *       200:
+ *         description: Ingredient updated successfully
+ *       400:
+ *         description: Invalid data or INCI name already exists
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Ingredient not found
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const ingredient = await db.Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ message: "Ingredient not found" });
+    }
+
+    INGREDIENT_FIELDS.filter((field) => req.body[field] !== undefined).forEach((field) => {
+      ingredient[field] = req.body[field];
+    });
+
+    const updatedIngredient = await ingredient.save();
+    res.status(200).json(updatedIngredient);
+  } catch (error) {
+    handleIngredientSaveError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/ingredients/{id}:
+ *   delete:
+ *     tags:
+ *       - Ingredients
+ *     summary: Delete an ingredient
+ *     description: Deactivates the ingredient. Ingredients still listed on a product cannot be deleted.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ingredient ID
+ *     responses:
+ *       200:
+ *         description: Ingredient deleted successfully
+ *       400:
+ *         description: Ingredient is used by a product
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Ingredient not found
+ *       500:
+ *         description: Internal server error
+ */
+ingredientRoute.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const ingredient = await db.Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({ message: "Ingredient not found" });
+    }
+
+    const product = await db.Product.findOne({ ingredients: ingredient._id, isDeleted: { $ne: true } });
+    if (product) {
+      return res.status(400).json({ message: `Ingredient is used by ${product.name}.` });
+    }
+
+    ingredient.status = false;
+    await ingredient.save();
+    res.status(200).json({ message: "Ingredient deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = ingredientRoute;
@@ -0,0 +1,942 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  findLowStock,
+  sendLowStockEmail,
+  recordMovements,
+  applyStockChange,
+} = require("../utils/inventory");
+const { findVariant } = require("../utils/productVariant");
+const { checkBatchInput, receiveBatch, restoreBatches, takeFromBatches } = require("../utils/stockBatch");
+
+const inventoryRoute = express.Router();
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MOVEMENT_TYPES = db.InventoryMovement.schema.path("type").enumValues;
+const STOCKTAKE_ATTEMPTS = 3;
+const DEFAULT_EXPIRY_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Checks that `items` is a list of `{ product, variant }` lines with a positive (or, for counts,
+// non-negative) integer `field`, listing each product or variant once. Returns an error message.
+const validateStockItems = (items, field, { allowZero = false } = {}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return "items must be a non-empty list.";
+  }
+  for (const [index, item] of items.entries()) {
+    if (!item || !mongoose.Types.ObjectId.isValid(item.product)) {
+      return `items[${index}]: a valid product ID is required.`;
+    }
+    if (item.variant && !mongoose.Types.ObjectId.isValid(item.variant)) {
+      return `items[${index}]: invalid variant ID.`;
+    }
+    const value = Number(item[field]);
+    if (!Number.isInteger(value) || value < (allowZero ? 0 : 1)) {
+      return `items[${index}]: ${field} must be a ${allowZero ? "non-negative" : "positive"} integer.`;
+    }
+  }
+  const keys = items.map((item) => `${item.product}:${item.variant || ""}`);
+  if (new Set(keys).size !== keys.length) {
+    return "Each product or variant can only be listed once.";
+  }
+  return null;
+};
+
+// Returns the error response for the first item whose product or variant cannot be stocked, if any.
+const findStockItemError = async (items) => {
+  const products = await db.Product.find({ _id: { $in: items.map((item) => item.product) } });
+  for (const item of items) {
+    const product = products.find((candidate) => candidate._id.toString() === String(item.product));
+    if (!product || product.isDeleted) {
+      return { status: 404, message: `Product ${item.product} not found` };
+    }
+    if (product.variants.length > 0 && !item.variant) {
+      return { status: 400, message: `Please choose a variant of ${product.name}.` };
+    }
+    if (item.variant && !findVariant(product, item.variant)) {
+      return { status: 404, message: `Variant ${item.variant} of ${product.name} not found` };
+    }
+  }
+  return null;
+};
+
+// Undoes stock changes of a request that failed halfway; they were never recorded in the ledger.
+const revertStockChanges = async (changes) => {
+  for (const change of changes) {
+    await applyStockChange({ product: change.product, variant: change.variant, quantity: -change.quantity });
+    if (change.stockBatch) {
+      const received = change.quantity > 0 ? { receivedQuantity: -change.quantity } : {};
+      await db.StockBatch.updateOne({ _id: change.stockBatch }, { $inc: { quantity: -change.quantity, ...received } });
+    }
+    await restoreBatches(change.allocations);
+  }
+};
+
+// Brings the stock of one line to the counted quantity. The change is conditional on the stock read just
+// before, so a sale in between makes it retry against the new stock instead of being overwritten.
+const reconcileCount = async (item) => {
+  const countedQuantity = Number(item.countedQuantity);
+  let systemQuantity;
+  for (let attempt = 0; attempt < STOCKTAKE_ATTEMPTS; attempt++) {
+    const product = await db.Product.findById(item.product);
+    const variant = findVariant(product, item.variant);
+    systemQuantity = variant ? variant.quantity : product.quantity;
+    const discrepancy = countedQuantity - systemQuantity;
+    if (discrepancy === 0) {
+      return { line: { systemQuantity, countedQuantity, discrepancy, applied: true } };
+    }
+
+    const change = await applyStockChange(
+      { product: item.product, variant: item.variant, quantity: discrepancy },
+      { expected: systemQuantity }
+    );
+    if (change) {
+      await takeFromBatches([change]);
+      return { line: { systemQuantity, countedQuantity, discrepancy, applied: true }, change };
+    }
+  }
+  return { line: { systemQuantity, countedQuantity, discrepancy: countedQuantity - systemQuantity, applied: false } };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inventory
+ *   description: API for stock operations, the inventory ledger and low stock alerts
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [sale, cancel_restock, adjustment, import, receive, write_off, stocktake, return_restock]
+ *         quantity:
+ *           type: number
+ *           description: The stock change, negative when stock leaves
+ *         balance:
+ *           type: number
+ *           description: The stock of the product or variant after the change
+ *         order:
+ *           type: string
+ *         actor:
+ *           type: string
+ *           description: The account that made the change, if any
+ *         reason:
+ *           type: string
+ *         supplier:
+ *           type: string
+ *         brand:
+ *           type: string
+ *         batch:
+ *           type: string
+ *           description: Batch number
+ *         stockBatch:
+ *           type: string
+ *           description: The tracked batch the change applies to, if any
+ *         stocktake:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     LowStockItem:
+ *       type: object
+ *       properties:
+ *         product:
+ *           type: string
+ *         name:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         variant:
+ *           type: string
+ *         variantSku:
+ *           type: string
+ *         variantName:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *         threshold:
+ *           type: number
+ *     Stocktake:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               systemQuantity:
+ *                 type: number
+ *               countedQuantity:
+ *                 type: number
+ *               discrepancy:
+ *                 type: number
+ *                 description: Counted minus system quantity, negative for missing goods
+ *               applied:
+ *                 type: boolean
+ *                 description: False when the stock kept changing and the count could not be applied
+ *         note:
+ *           type: string
+ *         createBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     StockBatch:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *         batchNumber:
+ *           type: string
+ *         manufacturedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         quantity:
+ *           type: number
+ *           description: Units of the batch still in stock
+ *         receivedQuantity:
+ *           type: number
+ *         expiredQuantity:
+ *           type: number
+ *           description: Units taken off sale when the batch expired
+ *         supplier:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, expired]
+ */
+
+/**
+ * @swagger
+ * /api/inventory/movements:
+ *   get:
+ *     tags:
+ *       - Inventory
+ *     summary: List stock movements, newest first
+ *     parameters:
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Only movements of this product
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [sale, cancel_restock, adjustment, import, receive, write_off, stocktake, return_restock]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryMovement'
+ *                 page:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+inventoryRoute.get("/movements", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.product) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.product)) {
+        return res.status(400).json({ message: "Invalid product id." });
+      }
+      filter.product = req.query.product;
+    }
+    if (req.query.type) {
+      if (!MOVEMENT_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ message: `type must be one of ${MOVEMENT_TYPES.join(", ")}.` });
+      }
+      filter.type = req.query.type;
+    }
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+      if (Object.values(filter.createdAt).some((date) => isNaN(date))) {
+        return res.status(400).json({ message: "from and to must be valid dates." });
+      }
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const [movements, total] = await Promise.all([
+      db.InventoryMovement.find(filter)
+        .populate("product", "name sku")
+        .populate("actor", "username email")
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      db.InventoryMovement.countDocuments(filter),
+    ]);
+
+    res.status(200).json({ movements, page, limit, total });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/low-stock:
+ *   get:
+ *     tags:
+ *       - Inventory
+ *     summary: List products and variants at or below their low stock threshold
+ *     description: Products without their own `lowStockThreshold` use the LOW_STOCK_THRESHOLD setting (default 5).
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 defaultThreshold:
+ *                   type: number
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LowStockItem'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+inventoryRoute.get("/low-stock", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const items = await findLowStock();
+    res.status(200).json({ defaultThreshold: DEFAULT_LOW_STOCK_THRESHOLD, items });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/low-stock/notify:
+ *   post:
+ *     tags:
+ *       - Inventory
+ *     summary: Email the current low stock list to the managers
+ *     description: >
+ *       Sent to LOW_STOCK_ALERT_EMAILS when set, otherwise to every active manager. Managers are also
+ *       alerted automatically when a sale takes a product below its threshold.
+ *     responses:
+ *       200:
+ *         description: Email sent, or nothing to report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recipients:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LowStockItem'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+inventoryRoute.post("/low-stock/notify", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const items = await findLowStock();
+    if (items.length === 0) {
+      return res.status(200).json({ message: "No product is below its low stock threshold.", recipients: [], items });
+    }
+
+    const recipients = await sendLowStockEmail(items);
+    res.status(200).json({ message: "Low stock email sent.", recipients, items });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/receive:
+ *   post:
+ *     tags:
+ *       - Inventory
+ *     summary: Receive stock from a supplier
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               supplier:
+ *                 type: string
+ *                 example: "Công ty TNHH Mỹ phẩm ABC"
+ *               brand:
+ *                 type: string
+ *                 description: The ID of the brand the goods come from, when received directly
+ *               batch:
+ *                 type: string
+ *                 description: Batch number for all items, unless an item has its own
+ *               manufacturedAt:
+ *                 type: string
+ *                 format: date
+ *               expiresAt:
+ *                 type: string
+ *                 format: date
+ *                 description: >
+ *                   Expiry date for all items, unless an item has its own. Goods with an expiry date are
+ *                   tracked per batch and need a batch number.
+ *               note:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                       example: 24
+ *                     batch:
+ *                       type: string
+ *                     manufacturedAt:
+ *                       type: string
+ *                       format: date
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date
+ *     responses:
+ *       201:
+ *         description: Stock received
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryMovement'
+ *       400:
+ *         description: Invalid items or batch dates, or neither supplier nor brand given
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product, variant or brand not found
+ *       500:
+ *         description: Internal server error
+ */
+inventoryRoute.post("/receive", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const { items, supplier, brand, note } = req.body;
+    const itemsError = validateStockItems(items, "quantity");
+    if (itemsError) {
+      return res.status(400).json({ message: itemsError });
+    }
+    if (!supplier && !brand) {
+      return res.status(400).json({ message: "A supplier or brand is required." });
+    }
+    if (brand && !(mongoose.Types.ObjectId.isValid(brand) && (await db.Brand.exists({ _id: brand })))) {
+      return res.status(404).json({ message: "Brand not found" });
+    }
+    const itemError = await findStockItemError(items);
+    if (itemError) {
+      return res.status(itemError.status).json({ message: itemError.message });
+    }
+
+    // Item values win over the ones given for the whole delivery.
+    const receipts = items.map((item) => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: Number(item.quantity),
+      batchNumber: item.batch || req.body.batch,
+      manufacturedAt: item.manufacturedAt || req.body.manufacturedAt,
+      expiresAt: item.expiresAt || req.body.expiresAt,
+      supplier,
+    }));
+    for (const receipt of receipts.filter((receipt) => receipt.expiresAt)) {
+      await checkBatchInput(receipt);
+    }
+
+    const changes = [];
+    for (const receipt of receipts) {
+      const change = await applyStockChange(receipt);
+      if (!change) {
+        await revertStockChanges(changes);
+        return res
+          .status(409)
+          .json({ message: `Product ${receipt.product} changed while receiving, please try again.` });
+      }
+      const stockBatch = receipt.expiresAt ? await receiveBatch(receipt) : null;
+      changes.push({ ...change, batch: receipt.batchNumber, stockBatch: stockBatch?._id });
+    }
+
+    const movements = await recordMovements(
+      changes.map((change) => ({ ...change, type: "receive", supplier, brand, reason: note, actor: req.user._id }))
+    );
+    res.status(201).json({ movements });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/write-off:
+ *   post:
+ *     tags:
+ *       - Inventory
+ *     summary: Write off damaged, expired or lost goods
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Reason for all items, unless an item has its own
+ *                 example: "Damaged in storage"
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                       example: 2
+ *                     reason:
+ *                       type: string
+ *                     batch:
+ *                       type: string
+ *                       description: >
+ *                         ID of the stock batch the goods are taken from. Without it they are taken from the
+ *                         batches earliest expiry first.
+ *     responses:
+ *       201:
+ *         description: Goods written off
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryMovement'
+ *       400:
+ *         description: Invalid items, missing reason or not enough stock in the product or batch
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product or variant not found
+ *       500:
+ *         description: Internal server error
+ */
+inventoryRoute.post("/write-off", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const { items, reason } = req.body;
+    const itemsError = validateStockItems(items, "quantity");
+    if (itemsError) {
+      return res.status(400).json({ message: itemsError });
+    }
+    if (items.some((item) => !item.reason && !reason)) {
+      return res.status(400).json({ message: "A reason is required to write off goods." });
+    }
+    const itemError = await findStockItemError(items);
+    if (itemError) {
+      return res.status(itemError.status).json({ message: itemError.message });
+    }
+
+    const changes = [];
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+      let stockBatch = null;
+      if (item.batch) {
+        stockBatch = mongoose.Types.ObjectId.isValid(item.batch)
+          ? await db.StockBatch.findOneAndUpdate(
+              { _id: item.batch, product: item.product, variant: item.variant || null, quantity: { $gte: quantity } },
+              { $inc: { quantity: -quantity } }
+            )
+          : null;
+        if (!stockBatch) {
+          await revertStockChanges(changes);
+          return res.status(400).json({ message: `Batch ${item.batch} does not hold ${quantity} of ${item.product}.` });
+        }
+      }
+      const change = await applyStockChange({ ...item, quantity: -quantity });
+      if (!change) {
+        if (stockBatch) {
+          await db.StockBatch.updateOne({ _id: stockBatch._id }, { $inc: { quantity } });
+        }
+        await revertStockChanges(changes);
+        return res.status(400).json({ message: `Not enough stock to write off ${item.quantity} of ${item.product}.` });
+      }
+      changes.push({
+        ...change,
+        reason: item.reason || reason,
+        batch: stockBatch?.batchNumber,
+        stockBatch: stockBatch?._id,
+        // Goods written off without a batch leave the batches like a sale would.
+        allocations: stockBatch ? [] : await takeFromBatches([change]),
+      });
+    }
+
+    const movements = await recordMovements(
+      changes.map(({ allocations, ...change }) => ({ ...change, type: "write_off", actor: req.user._id }))
+    );
+    res.status(201).json({ movements });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/stocktakes:
+ *   post:
+ *     tags:
+ *       - Inventory
+ *     summary: Record a stocktake and reconcile the stock with the counted quantities
+ *     description: >
+ *       Sets the stock of every counted product or variant to the counted quantity and records the
+ *       discrepancies. Products that are not listed are left unchanged.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     countedQuantity:
+ *                       type: number
+ *                       example: 18
+ *     responses:
+ *       201:
+ *         description: Stocktake recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Stocktake'
+ *       400:
+ *         description: Invalid items
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product or variant not found
+ *       500:
+ *         description: Internal server error
+ */
+inventoryRoute.post("/stocktakes", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const { items, note } = req.body;
+    const itemsError = validateStockItems(items, "countedQuantity", { allowZero: true });
+    if (itemsError) {
+      return res.status(400).json({ message: itemsError });
+    }
+    const itemError = await findStockItemError(items);
+    if (itemError) {
+      return res.status(itemError.status).json({ message: itemError.message });
+    }
+
+    const stocktake = new db.Stocktake({ note, createBy: req.user._id });
+    const changes = [];
+    for (const item of items) {
+      const { line, change } = await reconcileCount(item);
+      stocktake.lines.push({ product: item.product, variant: item.variant, ...line });
+      if (change) changes.push(change);
+    }
+
+    await stocktake.save();
+    await recordMovements(
+      changes.map((change) => ({
+        ...change,
+        type: "stocktake",
+        stocktake: stocktake._id,
+        reason: note || "Stocktake",
+        actor: req.user._id,
+      }))
+    );
+    res.status(201).json(stocktake);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/stocktakes:
+ *   get:
+ *     tags:
+ *       - Inventory
+ *     summary: List stocktakes, newest first
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Stocktake'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+inventoryRoute.get("/stocktakes", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const stocktakes = await db.Stocktake.find().populate("createBy", "username email").sort({ createdAt: -1 });
+    res.status(200).json(stocktakes);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/stocktakes/{id}:
+ *   get:
+ *     tags:
+ *       - Inventory
+ *     summary: Get a stocktake with its discrepancies
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The stocktake ID
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Stocktake'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Stocktake not found
+ *       500:
+ *         description: Internal server error
+ */
+inventoryRoute.get("/stocktakes/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const stocktake = await db.Stocktake.findById(req.params.id)
+      .populate("lines.product", "name sku")
+      .populate("createBy", "username email");
+    if (!stocktake) {
+      return res.status(404).json({ message: "Stocktake not found" });
+    }
+    res.status(200).json(stocktake);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/batches:
+ *   get:
+ *     tags:
+ *       - Inventory
+ *     summary: List stock batches, earliest expiry first
+ *     parameters:
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, expired]
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StockBatch'
+ *       400:
+ *         description: Invalid product ID
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+inventoryRoute.get("/batches", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const { product, status } = req.query;
+    const filter = {};
+    if (product) {
+      if (!mongoose.Types.ObjectId.isValid(product)) {
+        return res.status(400).json({ message: "Invalid product ID" });
+      }
+      filter.product = product;
+    }
+    if (status) filter.status = status;
+
+    const batches = await db.StockBatch.find(filter).populate("product", "name sku").sort({ expiresAt: 1 });
+    res.status(200).json(batches);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/inventory/batches/expiring:
+ *   get:
+ *     tags:
+ *       - Inventory
+ *     summary: List batches in stock that expire within the next days
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/StockBatch'
+ *                   - type: object
+ *                     properties:
+ *                       daysLeft:
+ *                         type: integer
+ *       400:
+ *         description: Invalid number of days
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+inventoryRoute.get("/batches/expiring", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? DEFAULT_EXPIRY_WINDOW_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({ message: "Days must be a non-negative integer." });
+    }
+
+    const now = new Date();
+    const until = new Date(now.getTime() + days * DAY_MS);
+    const batches = await db.StockBatch.find({
+      status: "active",
+      quantity: { $gt: 0 },
+      expiresAt: { $gt: now, $lte: until },
+    })
+      .populate("product", "name sku")
+      .sort({ expiresAt: 1 })
+      .lean();
+
+    res.status(200).json(batches.map((batch) => ({ ...batch, daysLeft: Math.ceil((batch.expiresAt - now) / DAY_MS) })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = inventoryRoute;
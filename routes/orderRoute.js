@@ -1,7 +1,28 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const db = require("../models/index");
 const crypto = require("crypto");
-const { VNPay, ignoreLogger, ProductCode, VnpLocale, dateFormat } = require("vnpay");
+const {
+  ProductCode,
+  VnpLocale,
+  dateFormat,
+  IpnSuccess,
+  IpnOrderNotFound,
+  InpOrderAlreadyConfirmed,
+  IpnInvalidAmount,
+  IpnFailChecksum,
+  IpnUnknownError,
+} = require("vnpay");
+const { vnpay, getReturnUrl } = require("../utils/vnpay");
+const { reserveStock, releaseStock, getReservationExpiry } = require("../utils/stockReservation");
+const { ORDER_TRANSITIONS, transitionOrder } = require("../utils/orderStatus");
+const { findVariant, getUnitPrice, describeVariant } = require("../utils/productVariant");
+const { validatePromotion, redeemPromotion, recordRedemption, releasePromotion } = require("../utils/promotion");
+const { quoteRefund } = require("../utils/refundPolicy");
+const { notifyRefund } = require("../utils/refund");
+const { resolveShippingAddress, formatAddress } = require("../utils/address");
+const { quoteShipping } = require("../utils/shipping");
+const { CANCELLABLE_STATUSES, resolveCancelLines, cancelOrderLines } = require("../utils/orderCancellation");
 const roleMiddleware = require("../middleware/roleMiddleware");
 const authMiddleware = require("../middleware/authMiddleware");
 const nodemailer = require("nodemailer");
@@ -14,6 +35,136 @@ const CryptoJS = require("crypto-js");
 
 const orderRoute = express.Router();
 
+// Statuses only the VNPay callbacks move an order to.
+const PAYMENT_STATUSES = ["Paid", "Failed"];
+
+// Items are read from their checkout snapshot. Orders placed before items had one fall back to the
+// current product, which needs `item.product` to be populated.
+const formatOrderItem = (item) => {
+  if (item.name) {
+    return {
+      productName: item.variantName ? `${item.name} (${item.variantName})` : item.name,
+      image: item.image,
+      quantity: item.quantity,
+      price: item.price,
+      total: item.lineTotal,
+    };
+  }
+  if (!item.product) {
+    return { productName: "Unknown Product", quantity: item.quantity, price: 0, total: 0 };
+  }
+  const variant = findVariant(item.product, item.variant);
+  const price = item.price ?? getUnitPrice(item.product, variant);
+  return {
+    productName: variant ? `${item.product.name} (${describeVariant(variant)})` : item.product.name,
+    image: variant?.image || item.product.image,
+    quantity: item.quantity,
+    price,
+    total: price * item.quantity,
+  };
+};
+
+const sendOrderConfirmationEmail = async (orderId) => {
+  const order = await db.Order.findById(orderId).populate("items.product").populate("account");
+  if (!order || !order.account) {
+    return;
+  }
+
+  const formattedItems = order.items.map((item) => formatOrderItem(item));
+
+  const emailTemplatePath = path.join(__dirname, "../templates/orderConfirmationTemplate.html");
+  const emailTemplateSource = fs.readFileSync(emailTemplatePath, "utf8");
+  const emailTemplate = handlebars.compile(emailTemplateSource);
+
+  const emailHtml = emailTemplate({
+    orderId: order._id,
+    totalAmount: order.totalAmount,
+    shippingFee: order.pricing?.shippingFee,
+    items: formattedItems,
+    shippingAddress: order.shippingAddress?.street && {
+      recipientName: order.shippingAddress.recipientName,
+      phone: order.shippingAddress.phone,
+      address: formatAddress(order.shippingAddress),
+    },
+  });
+
+  const transporter = nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS,
+    },
+  });
+
+  const mailOptions = {
+    from: process.env.EMAIL_USER,
+    to: order.account.email,
+    subject: "Order Confirmation",
+    html: emailHtml,
+  };
+
+  transporter.sendMail(mailOptions, (error, info) => {
+    if (error) {
+      console.error("Error sending email:", error);
+    } else {
+      console.log("Email sent:", info.response);
+    }
+  });
+};
+
+// Shared by the return URL and the IPN. Only a "Pending" order is moved, and the move is a single
+// conditional update, so duplicate or concurrent callbacks for the same transaction are no-ops.
+const applyVnpayResult = async (verify) => {
+  if (!verify.isVerified) {
+    return { response: IpnFailChecksum };
+  }
+
+  const order = await db.Order.findById(verify.vnp_TxnRef).catch(() => null);
+  if (!order) {
+    return { response: IpnOrderNotFound };
+  }
+
+  if (Number(verify.vnp_Amount) !== order.totalAmount) {
+    return { response: IpnInvalidAmount, order };
+  }
+
+  if (order.status !== "Pending") {
+    return { response: InpOrderAlreadyConfirmed, order };
+  }
+
+  const status = verify.isSuccess ? "Paid" : "Failed";
+  let updatedOrder;
+  try {
+    updatedOrder = await transitionOrder(order._id, status, {
+      from: "Pending",
+      note: `VNPAY response code ${verify.vnp_ResponseCode}`,
+      update: {
+        payment: {
+          transactionNo: verify.vnp_TransactionNo?.toString(),
+          bankCode: verify.vnp_BankCode,
+          responseCode: verify.vnp_ResponseCode?.toString(),
+          payDate: verify.vnp_PayDate?.toString(),
+          verifiedAt: new Date(),
+        },
+      },
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return { response: InpOrderAlreadyConfirmed, order: await db.Order.findById(order._id) };
+    }
+    throw error;
+  }
+
+  if (status === "Paid") {
+    await sendOrderConfirmationEmail(updatedOrder._id);
+  } else {
+    await releaseStock(updatedOrder.items, { order: updatedOrder._id, reason: "Payment failed" });
+    await releasePromotion(updatedOrder);
+  }
+
+  return { response: IpnSuccess, order: updatedOrder };
+};
+
 /**
  * @swagger
  * tags:
@@ -33,7 +184,7 @@ const orderRoute = express.Router();
  *           description: The ID of the account
  *         status:
  *           type: string
- *           enum: ["Pending", "Paid"]
+ *           enum: ["Pending", "Paid", "Failed", "Confirmed", "Packing", "Shipping", "Delivered", "Returned", "Canceled", "Refunded"]
  *           description: The status of the order
  *         items:
  *           type: array
@@ -43,12 +194,113 @@ const orderRoute = express.Router();
  *               product:
  *                 type: string
  *                 description: The ID of the product
+ *               variant:
+ *                 type: string
+ *                 description: The ID of the product variant, if any
  *               quantity:
  *                 type: number
  *                 description: The quantity of the product
+ *               name:
+ *                 type: string
+ *                 description: The product name when the order was placed
+ *               variantName:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               image:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *                 description: The unit price in effect when the order was placed
+ *               lineTotal:
+ *                 type: number
+ *                 description: Unit price times quantity
+ *               canceledQuantity:
+ *                 type: number
+ *                 description: Units canceled by the customer
+ *               returnedQuantity:
+ *                 type: number
+ *                 description: Units received back through a return request
+ *               returnRequestedQuantity:
+ *                 type: number
+ *                 description: Units waiting on an open return request
+ *         promotionCode:
+ *           type: string
+ *           description: The promotion code applied to the order
+ *         pricing:
+ *           type: object
+ *           properties:
+ *             subtotal:
+ *               type: number
+ *             discount:
+ *               type: number
+ *             freeShipping:
+ *               type: boolean
+ *             shippingFee:
+ *               type: number
+ *               description: Set by the shipping policy (see /api/shipping/policy), 0 for free shipping
+ *             total:
+ *               type: number
+ *               description: Subtotal minus discount plus shipping fee
  *         totalAmount:
  *           type: number
  *           description: The total amount of the order
+ *         shippingAddress:
+ *           type: object
+ *           description: The address book entry chosen at checkout, as it was then
+ *           properties:
+ *             address:
+ *               type: string
+ *               description: The ID of the address book entry
+ *             recipientName:
+ *               type: string
+ *             phone:
+ *               type: string
+ *             street:
+ *               type: string
+ *             ward:
+ *               type: string
+ *             wardCode:
+ *               type: string
+ *             district:
+ *               type: string
+ *             districtCode:
+ *               type: string
+ *             province:
+ *               type: string
+ *             provinceCode:
+ *               type: string
+ *         shipping:
+ *           type: object
+ *           properties:
+ *             weight:
+ *               type: number
+ *               description: Grams
+ *             zone:
+ *               type: string
+ *               description: The shipping policy zone the fee was taken from
+ *             carrier:
+ *               type: string
+ *             trackingNumber:
+ *               type: string
+ *             status:
+ *               type: string
+ *               enum: [ready_to_pick, picked_up, in_transit, delivered, failed, returned, canceled]
+ *             expectedDeliveryAt:
+ *               type: string
+ *               format: date-time
+ *             history:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                   note:
+ *                     type: string
+ *                   occurredAt:
+ *                     type: string
+ *                     format: date-time
  *       required:
  *         - account
  *         - status
@@ -63,6 +315,10 @@ const orderRoute = express.Router();
  *     tags:
  *       - Orders
  *     summary: Add items to the cart and create a VNPAY payment URL
+ *     description: >
+ *       Stock is reserved and the order is created as "Pending"; it only becomes "Paid" once VNPAY confirms the payment.
+ *       Orders left unpaid past the reservation window (RESERVATION_TTL_MINUTES, 15 by default) are canceled and their stock released.
+ *       The shipping fee to the shipping address is added to the total, see POST /api/shipping/quote.
  *     requestBody:
  *       required: true
  *       content:
@@ -70,12 +326,10 @@ const orderRoute = express.Router();
  *           schema:
  *             type: object
  *             properties:
- *               account:
- *                 type: string
- *                 description: The account ID
- *                 example: "64f8a6d123abc4567e891011"
  *               items:
  *                 type: array
+ *                 description: >
+ *                   The items to order. When omitted, the items in the customer's cart are ordered and the cart is emptied.
  *                 items:
  *                   type: object
  *                   properties:
@@ -83,10 +337,21 @@ const orderRoute = express.Router();
  *                       type: string
  *                       description: The product ID
  *                       example: "64f8a6d123abc4567e891011"
+ *                     variant:
+ *                       type: string
+ *                       description: The variant ID, required for products with variants
  *                     quantity:
- *                       type: number
+ *                       type: integer
+ *                       minimum: 1
  *                       description: The quantity of the product
  *                       example: 2
+ *               promotionCode:
+ *                 type: string
+ *                 description: An optional promotion code applied to the subtotal
+ *                 example: "SAVE20"
+ *               shippingAddress:
+ *                 type: string
+ *                 description: The ID of an address in the customer's address book, the default address when omitted
  *     responses:
  *       201:
  *         description: VNPAY payment URL created successfully
@@ -99,65 +364,108 @@ const orderRoute = express.Router();
  *                   type: object
  *                   description: The VNPAY payment URL response
  *       400:
- *         description: Bad request
+ *         description: >
+ *           Bad request. An invalid promotion code is reported with a `code` of PROMOTION_NOT_FOUND,
+ *           PROMOTION_INACTIVE, PROMOTION_NOT_STARTED, PROMOTION_EXPIRED, PROMOTION_USAGE_LIMIT_REACHED,
+ *           PROMOTION_CUSTOMER_LIMIT_REACHED, PROMOTION_MIN_ORDER_NOT_MET or PROMOTION_NOT_APPLICABLE.
+ *           Also returned when no shipping address is given and the customer has no default address, or when
+ *           an item has no product or a quantity that is not a whole number of at least 1.
  *       404:
- *         description: Product not found
+ *         description: Product or shipping address not found
  *       500:
  *         description: Internal server error
  */
 orderRoute.post("/add-to-cart", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
   try {
-    const { account, items } = req.body;
-
-    if (!account || !items || items.length === 0) {
-      return res.status(400).json({ message: "An order must contain at least one product." });
+    const account = req.user._id;
+    const { promotionCode } = req.body;
+    let items = req.body.items;
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({ message: "Items must be an array." });
     }
 
-    let totalAmount = 0;
-    const updatedProducts = [];
+    // Without explicit items the order is placed from the customer's saved cart.
+    let cart;
+    if (!items || items.length === 0) {
+      cart = await db.Cart.findOne({ account });
+      items = cart?.items.map((item) => ({ product: item.product, variant: item.variant, quantity: item.quantity }));
+    }
 
-    for (const item of items) {
-      const product = await db.Product.findById(item.product);
-      if (!product) {
-        return res.status(404).json({ message: `Product with ID ${item.product} not found.` });
+    if (!items || items.length === 0) {
+      return res.status(400).json({ message: "An order must contain at least one product." });
+    }
+    const shippingAddress = await resolveShippingAddress(account, req.body.shippingAddress);
+
+    // The id is known before the order is saved so the stock movements can point to it.
+    const orderId = new mongoose.Types.ObjectId();
+    const reserved = await reserveStock(items, { order: orderId, actor: req.user._id });
+    const orderItems = reserved.map(({ product, variant, quantity, price, batches }) => ({
+      product: product._id,
+      variant: variant?._id,
+      name: product.name,
+      variantName: describeVariant(variant) || undefined,
+      sku: variant?.sku || product.sku,
+      image: variant?.image || product.image,
+      quantity,
+      price,
+      lineTotal: price * quantity,
+      batches,
+    }));
+    const subtotal = orderItems.reduce((sum, { lineTotal }) => sum + lineTotal, 0);
+    const reservationExpiresAt = getReservationExpiry();
+
+    let promotion;
+    let discount = 0;
+    let freeShipping = false;
+    let shipping;
+    try {
+      if (promotionCode) {
+        ({ promotion, discount, freeShipping } = await validatePromotion(promotionCode, {
+          subtotal,
+          lines: reserved,
+          account,
+        }));
       }
-
-      if (product.quantity < item.quantity) {
-        return res.status(400).json({
-          message: `Not enough stock for ${product.name}. Available: ${product.quantity}, Requested: ${item.quantity}`,
-        });
+      shipping = await quoteShipping(shippingAddress, reserved, { orderValue: subtotal - discount, freeShipping });
+      if (promotion) {
+        await redeemPromotion(promotion, { account });
       }
-
-      totalAmount += item.quantity * product.price;
-      product.quantity -= item.quantity;
-      updatedProducts.push(product);
-    }
-
-    for (const product of updatedProducts) {
-      await product.save();
+    } catch (error) {
+      await releaseStock(orderItems, { order: orderId, actor: req.user._id, reason: "Checkout failed" });
+      throw error;
     }
 
+    const totalAmount = subtotal - discount + shipping.fee;
     const newOrder = new db.Order({
+      _id: orderId,
       account,
-      items,
+      items: orderItems,
+      promotion: promotion?._id,
+      promotionCode: promotion?.code,
+      pricing: { subtotal, discount, freeShipping, shippingFee: shipping.fee, total: totalAmount },
       totalAmount,
-      status: "Paid",
+      shippingAddress,
+      shipping: { weight: shipping.weight, zone: shipping.zone },
+      status: "Pending",
+      reservationExpiresAt,
     });
 
-    await newOrder.save();
+    try {
+      await newOrder.save();
+    } catch (error) {
+      await releaseStock(orderItems, { order: orderId, actor: req.user._id, reason: "Checkout failed" });
+      await releasePromotion(newOrder);
+      throw error;
+    }
 
-    const vnpay = new VNPay({
-      tmnCode: "9TKDVWYK",
-      secureSecret: "LH6SD44ECTBWU1PHK3D2YCOI5HLUWGPH",
-      vnpayHost: "https://sandbox.vnpayment.vn",
-      testMode: true,
-      hashAlgorithm: "SHA512",
-      enableLog: true,
-      loggerFn: ignoreLogger,
-    });
+    if (promotion) {
+      await recordRedemption(promotion, newOrder);
+    }
 
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
 
     const vnpayResponse = await vnpay.buildPaymentUrl({
       vnp_Amount: totalAmount,
@@ -165,59 +473,119 @@ orderRoute.post("/add-to-cart", authMiddleware, roleMiddleware(["customer"]), as
       vnp_TxnRef: newOrder._id.toString(),
       vnp_OrderInfo: `${newOrder._id}`,
       vnp_OrderType: ProductCode.Other,
-      vnp_ReturnUrl: "https://www.facebook.com/",
+      vnp_ReturnUrl: getReturnUrl(req),
       vnp_Locale: VnpLocale.VN,
       vnp_CreateDate: dateFormat(new Date()),
-      vnp_ExpireDate: dateFormat(tomorrow),
+      vnp_ExpireDate: dateFormat(reservationExpiresAt),
     });
 
-    const populatedOrder = await db.Order.findById(newOrder._id).populate("items.product").exec();
-
-    const formattedItems = populatedOrder.items.map((item) => ({
-      productName: item.product?.name || "Unknown Product",
-      price: item.product?.price || 0,
-      quantity: item.quantity,
-    }));
-
-    const emailTemplatePath = path.join(__dirname, "../templates/orderConfirmationTemplate.html");
-    const emailTemplateSource = fs.readFileSync(emailTemplatePath, "utf8");
-    const emailTemplate = handlebars.compile(emailTemplateSource);
+    return res.status(201).json(vnpayResponse);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+    res.status(500).json({ message: "Server error.", error: error.message });
+  }
+});
 
-    const emailHtml = emailTemplate({
-      orderId: newOrder._id,
-      totalAmount: totalAmount,
-      items: formattedItems,
-    });
+/**
+ * @swagger
+ * /api/order/vnpay-return:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Handle the customer's redirect back from VNPAY
+ *     description: Verifies the secure hash of the query sent by VNPAY and updates the order status to "Paid" or "Failed".
+ *     parameters:
+ *       - in: query
+ *         name: vnp_TxnRef
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the order
+ *       - in: query
+ *         name: vnp_SecureHash
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment result verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 orderId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *       400:
+ *         description: Invalid checksum or amount
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+orderRoute.get("/vnpay-return", async (req, res) => {
+  try {
+    const verify = vnpay.verifyReturnUrl(req.query);
+    const { response, order } = await applyVnpayResult(verify);
 
-    const transporter = nodemailer.createTransport({
-      service: "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-    });
+    if (response === IpnFailChecksum || response === IpnInvalidAmount) {
+      return res.status(400).json({ message: response.Message });
+    }
 
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: accountDetails.email,
-      subject: "Order Confirmation",
-      html: emailHtml,
-    };
+    if (response === IpnOrderNotFound) {
+      return res.status(404).json({ message: response.Message });
+    }
 
-    transporter.sendMail(mailOptions, (error, info) => {
-      if (error) {
-        console.error("Error sending email:", error);
-      } else {
-        console.log("Email sent:", info.response);
-      }
+    res.status(200).json({
+      message: order.status === "Paid" ? "Payment successful." : "Payment failed.",
+      orderId: order._id,
+      status: order.status,
     });
-
-    return res.status(201).json(vnpayResponse);
   } catch (error) {
     res.status(500).json({ message: "Server error.", error: error.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/order/vnpay-ipn:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Instant Payment Notification called by VNPAY
+ *     description: Verifies the secure hash and updates the order status. Repeated notifications for the same order are acknowledged without changing it again.
+ *     responses:
+ *       200:
+ *         description: The acknowledgement expected by VNPAY
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 RspCode:
+ *                   type: string
+ *                   example: "00"
+ *                 Message:
+ *                   type: string
+ *                   example: "Confirm Success"
+ */
+orderRoute.get("/vnpay-ipn", async (req, res) => {
+  try {
+    const verify = vnpay.verifyIpnCall(req.query);
+    const { response } = await applyVnpayResult(verify);
+    res.status(200).json(response);
+  } catch (error) {
+    console.error("Error handling VNPAY IPN:", error);
+    res.status(200).json(IpnUnknownError);
+  }
+});
+
 /**
  * @swagger
  * /api/order/account/{id}:
@@ -225,14 +593,15 @@ orderRoute.post("/add-to-cart", authMiddleware, roleMiddleware(["customer"]), as
  *     tags:
  *       - Orders
  *     summary: Get orders by account ID
- *     description: Retrieve all orders for a specific account by account ID.
+ *     description: >
+ *       Retrieve all orders for a specific account by account ID, each with its return requests and their refunds.
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: The ID of the account
+ *         description: The ID of the account, which must be the signed-in account
  *     responses:
  *       200:
  *         description: Successful response
@@ -241,9 +610,18 @@ orderRoute.post("/add-to-cart", authMiddleware, roleMiddleware(["customer"]), as
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Order'
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Order'
+ *                   - type: object
+ *                     properties:
+ *                       returns:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/ReturnRequest'
  *       400:
  *         description: Bad request
+ *       403:
+ *         description: The ID is not the signed-in account
  *       404:
  *         description: Account not found
  *       500:
@@ -251,8 +629,20 @@ orderRoute.post("/add-to-cart", authMiddleware, roleMiddleware(["customer"]), as
  */
 orderRoute.get("/account/:id", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
   try {
-    const orders = await db.Order.find({ account: req.params.id });
-    res.status(200).json(orders);
+    // Customers only see their own order history.
+    if (req.params.id !== String(req.user._id)) {
+      return res.status(403).json({ message: "You can only view your own orders." });
+    }
+    const orders = await db.Order.find({ account: req.user._id });
+    const returns = await db.ReturnRequest.find({ order: { $in: orders.map((order) => order._id) } })
+      .populate("refund", "amount status")
+      .sort({ createdAt: -1 });
+    res.status(200).json(
+      orders.map((order) => ({
+        ...order.toObject(),
+        returns: returns.filter((returnRequest) => returnRequest.order.equals(order._id)),
+      }))
+    );
   } catch (error) {
     res.status(500).json({ message: "Server error.", error: error.message });
   }
@@ -264,8 +654,11 @@ orderRoute.get("/account/:id", authMiddleware, roleMiddleware(["customer"]), asy
  *   post:
  *     tags:
  *       - Orders
- *     summary: Cancel an order by ID
- *     description: Cancel an order and refund 50% of the total amount to the customer's account.
+ *     summary: Cancel an order, or some of its lines, by ID
+ *     description: >
+ *       Cancels the given lines of an order that has not shipped yet, or the whole order when no items are
+ *       sent. The canceled units go back to stock and the refund follows the refund policy
+ *       (see /api/refund-policy). Once every line is canceled the order is canceled.
  *     parameters:
  *       - in: path
  *         name: orderId
@@ -273,9 +666,33 @@ orderRoute.get("/account/:id", authMiddleware, roleMiddleware(["customer"]), asy
  *         schema:
  *           type: string
  *         description: The ID of the order to be canceled
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only quote the refund, nothing is canceled
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     item:
+ *                       type: string
+ *                       description: The ID of the order item
+ *                     quantity:
+ *                       type: number
+ *                       description: Units to cancel, all that is left of the line by default
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Order canceled and 50% refund issued
+ *         description: Lines canceled and refund recorded
  *         content:
  *           application/json:
  *             schema:
@@ -283,76 +700,249 @@ orderRoute.get("/account/:id", authMiddleware, roleMiddleware(["customer"]), asy
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Order has been canceled and 50% refund issued. Product quantities have been updated in the inventory."
  *                 refundAmount:
  *                   type: number
- *                   description: The amount refunded to the customer's account
+ *                   description: The amount to refund, paid out once a manager approves the refund
+ *                 refund:
+ *                   $ref: '#/components/schemas/Refund'
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: The order cannot be canceled any more, or invalid items
+ *       403:
+ *         description: The order belongs to another customer
  *       404:
- *         description: Order not found
+ *         description: Order or order item not found
+ *       409:
+ *         description: The order was changed by another request
  *       500:
  *         description: Internal server error
  */
 orderRoute.post("/cancel-order/:orderId", authMiddleware, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const order = await db.Order.findById(orderId).populate("items.product");
+    const order = await db.Order.findById(orderId).populate("items.product", "name").populate("account");
 
     if (!order) {
       return res.status(404).json({ message: "Không tìm thấy đơn hàng" });
     }
 
-    if (order.status !== "Paid") {
-      return res.status(400).json({ message: "Only paid orders can be canceled." });
-    } else {
-      const refundAmount = order.totalAmount * 0.5;
-
-      for (const item of order.items) {
-        const product = await db.Product.findById(item.product._id);
-        if (product) {
-          product.quantity += item.quantity;
-          await product.save();
-        }
-
-        order.status = "Canceled";
-        await order.save();
-
-        const formattedItems = order.items.map((item) => ({
-          productName: item.product?.name || "Unknown Product",
-          quantity: item.quantity,
-          price: item.product?.price || 0,
-          total: item.quantity * item.product?.price || 0,
-        }));
-        const emailTemplatePath = path.join(__dirname, "../templates/refundTemplate.html");
-        const emailTemplateSource = fs.readFileSync(emailTemplatePath, "utf8");
-        const emailTemplate = handlebars.compile(emailTemplateSource);
-        const emailHtml = emailTemplate({ orderId, refundAmount, items: formattedItems });
-
-        const transporter = nodemailer.createTransport({
-          service: "gmail",
-          auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
-        });
-
-        const mailOptions = {
-          from: process.env.EMAIL_USER,
-          to: account.email,
-          subject: "Xác nhận hoàn tiền đơn hàng",
-          html: emailHtml,
-        };
-
-        transporter.sendMail(mailOptions, (error, info) => {
-          if (error) console.error("Lỗi gửi email:", error);
-          else console.log("Email sent:", info.response);
-        });
-
-        return res.status(200).json({
-          message: "Đơn hàng đã được hủy và hoàn tiền 50%. Số lượng sản phẩm đã được cập nhật vào kho.",
-          refundAmount,
-        });
-      }
+    if (String(order.account?._id) !== String(req.user._id) && !["admin", "manager"].includes(req.user.role)) {
+      return res.status(403).json({ message: "You can only cancel your own orders." });
+    }
+
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({ message: "Only paid orders that have not shipped yet can be canceled." });
     }
+
+    const lines = resolveCancelLines(order, req.body.items);
+    if (req.query.dryRun === "true") {
+      const quote = await quoteRefund(order, lines);
+      return res.status(200).json({ dryRun: true, refundAmount: quote.amount, refund: quote });
+    }
+
+    const { order: updatedOrder, refund } = await cancelOrderLines(order, lines, {
+      actor: req.user._id,
+      reason: req.body.reason || "Canceled by customer",
+    });
+
+    notifyRefund(refund);
+
+    return res.status(200).json({
+      message:
+        updatedOrder.status === "Canceled"
+          ? "Đơn hàng đã được hủy. Số lượng sản phẩm đã được cập nhật vào kho."
+          : "Các sản phẩm đã chọn đã được hủy. Số lượng sản phẩm đã được cập nhật vào kho.",
+      refundAmount: refund.amount,
+      refund,
+      order: updatedOrder,
+    });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     res.status(500).json({ message: "Lỗi máy chủ", error: error.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/order/{id}/status:
+ *   get:
+ *     tags:
+ *       - Orders
+ *     summary: Get the status, allowed next statuses and status history of an order
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the order
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 allowedTransitions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 statusHistory:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                       changedBy:
+ *                         type: string
+ *                       note:
+ *                         type: string
+ *                       changedAt:
+ *                         type: string
+ *                         format: date-time
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+orderRoute.get("/:id/status", authMiddleware, roleMiddleware(["manager"]), async (req, res) => {
+  try {
+    const order = await db.Order.findById(req.params.id).populate("statusHistory.changedBy", "username email role");
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    res.status(200).json({
+      status: order.status,
+      allowedTransitions: ORDER_TRANSITIONS[order.status] || [],
+      statusHistory: order.statusHistory,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/order/{id}/status:
+ *   patch:
+ *     tags:
+ *       - Orders
+ *     summary: Change the status of an order
+ *     description: >
+ *       Only transitions allowed by the order lifecycle are accepted
+ *       (Paid → Confirmed → Packing → Shipping → Delivered, ...).
+ *       Paid and Failed are only set by the VNPAY callbacks, Refunded once all refunds of the order are completed
+ *       and Returned when the carrier returns the shipment or the goods of the return requests are received.
+ *       Canceling works like the customer's cancellation: the stock is put back, a pending order gives back
+ *       its promotion code, a paid order gets a refund record and its carrier shipment is canceled.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The ID of the order
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 example: "Confirmed"
+ *               note:
+ *                 type: string
+ *                 example: "Confirmed by phone"
+ *     responses:
+ *       200:
+ *         description: Order status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Illegal status transition, or a payment, return or refund status
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order status was changed concurrently
+ *       500:
+ *         description: Internal server error
+ */
+orderRoute.patch("/:id/status", authMiddleware, roleMiddleware(["manager"]), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    if (!status || !ORDER_TRANSITIONS[status]) {
+      return res.status(400).json({ message: "A valid status is required." });
+    }
+
+    // An order marked paid by hand has no VNPay transaction to refund later.
+    if (PAYMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `${status} is set by the payment gateway.` });
+    }
+    // Only settling the refunds decides an order is fully refunded.
+    if (status === "Refunded") {
+      return res.status(400).json({ message: "Refunded is set once all refunds of the order are completed." });
+    }
+    // Returned goods are restocked and refunded by the carrier's return or by receiving return requests.
+    if (status === "Returned") {
+      return res
+        .status(400)
+        .json({ message: "Returned is set by the carrier returning the shipment or by receiving the returned goods." });
+    }
+    if (status !== "Canceled") {
+      return res.status(200).json(await transitionOrder(req.params.id, status, { changedBy: req.user._id, note }));
+    }
+
+    // Cancellations go the same way as the customer's: stock and promotion back, a refund for paid orders
+    // and the carrier shipment canceled.
+    const order = await db.Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    const reason = note || "Canceled by manager";
+    if (order.status === "Pending") {
+      const canceledOrder = await transitionOrder(order._id, "Canceled", {
+        from: "Pending",
+        changedBy: req.user._id,
+        note: reason,
+      });
+      await releaseStock(canceledOrder.items, { order: canceledOrder._id, actor: req.user._id, reason });
+      await releasePromotion(canceledOrder);
+      return res.status(200).json(canceledOrder);
+    }
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({ message: `Cannot change order status from ${order.status} to Canceled.` });
+    }
+
+    const { order: canceledOrder, refund } = await cancelOrderLines(order, resolveCancelLines(order), {
+      actor: req.user._id,
+      reason,
+    });
+    notifyRefund(refund);
+    res.status(200).json(canceledOrder);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = orderRoute;
@@ -3,9 +3,129 @@ const db = require("../models/index");
 const authMiddleware = require("../middleware/authMiddleware");
 const roleMiddleware = require("../middleware/roleMiddleware");
 const { create } = require("../models/account.model");
+const { VISIBLE_FEEDBACK, buildProductListQuery } = require("../utils/productQuery");
+const { findVariant, getUnitPrice } = require("../utils/productVariant");
+const { uploadImages, uploadImportFile } = require("../middleware/uploadMiddleware");
+const { storeProductImage, removeProductImage } = require("../utils/productImage");
+const { checkIngredientIds, buildIngredientBreakdown } = require("../utils/ingredient");
+const { parseImport, importProducts, exportProducts } = require("../utils/productCatalog");
+const { getLowStockThreshold, recordMovements, applyStockChange } = require("../utils/inventory");
+const { takeFromBatches } = require("../utils/stockBatch");
+const {
+  priceLevels,
+  priceHistoryEntries,
+  recordPriceHistory,
+  addPriceChange,
+  cancelPriceChange,
+} = require("../utils/pricing");
 
 const productRoute = express.Router();
 
+const RELATED_PRODUCTS_LIMIT = 8;
+const EXPANDABLE = ["brand", "category", "skin", "creator", "ingredients", "rating", "related"];
+const POPULATE_PATHS = {
+  brand: { path: "brand", select: "name contact status" },
+  category: { path: "category", select: "name description status" },
+  skin: { path: "suitableSkin", select: "type status" },
+  creator: { path: "createBy", select: "username email" },
+  ingredients: { path: "ingredients", select: "inciName commonName functions allergens" },
+};
+
+const VARIANT_FIELDS = ["sku", "attributes", "price", "quantity", "image", "weight", "isActive"];
+
+// Returns an error message when a SKU of `product` is repeated in the product or used by another product.
+const checkVariantSkus = async (product) => {
+  const skus = product.variants.map((variant) => variant.sku);
+  if (new Set(skus).size !== skus.length) {
+    return "Variant SKUs must be unique.";
+  }
+  if (skus.length === 0) {
+    return null;
+  }
+  const taken = await db.Product.findOne({ _id: { $ne: product._id }, "variants.sku": { $in: skus } });
+  return taken ? `SKU is already used by ${taken.name}.` : null;
+};
+
+// Returns an error message when the `ingredients` sent for a product are not a list of existing ingredients.
+const checkProductIngredients = async (ingredients) => {
+  if (ingredients === undefined) {
+    return null;
+  }
+  if (!Array.isArray(ingredients)) {
+    return "Ingredients must be a list of ingredient IDs.";
+  }
+  return checkIngredientIds(ingredients);
+};
+
+const getStockStatus = (product) => {
+  if (product.quantity <= 0) return "out_of_stock";
+  if (product.quantity <= getLowStockThreshold(product)) return "low_stock";
+  return "in_stock";
+};
+
+// Returns the requested expansions, or null when the list contains something unknown.
+const parseExpand = (value) => {
+  const keys = String(value)
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  if (keys.length === 0 || keys.includes("all")) {
+    return EXPANDABLE;
+  }
+  return keys.every((key) => EXPANDABLE.includes(key)) ? keys : null;
+};
+
+// A plain array of the matching products, as the listing always returned, or one page of them in an
+// envelope when the client asks for `page` or `limit`.
+const listProducts = async (query, options) => {
+  const { pipeline, paginated, page, limit } = await buildProductListQuery(query, options);
+  if (!paginated) {
+    return db.Product.aggregate(pipeline);
+  }
+
+  const [result] = await db.Product.aggregate(pipeline);
+  const total = result.total[0]?.count || 0;
+  return { products: result.products, page, limit, total, totalPages: Math.ceil(total / limit) };
+};
+
+const buildProductDetail = async (productId, expand) => {
+  const query = db.Product.findOne({ _id: productId, isDeleted: { $ne: true } });
+  expand.filter((key) => POPULATE_PATHS[key]).forEach((key) => query.populate(POPULATE_PATHS[key]));
+  const product = await query.lean();
+  if (!product) {
+    return null;
+  }
+
+  const detail = {
+    ...product,
+    variants: product.variants.map((variant) => ({ ...variant, effectivePrice: getUnitPrice(product, variant) })),
+    effectivePrice: getUnitPrice(product),
+    stockStatus: getStockStatus(product),
+  };
+
+  if (expand.includes("rating")) {
+    const [rating] = await db.Feedback.aggregate([
+      { $match: { product: product._id, ...VISIBLE_FEEDBACK } },
+      { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+    ]);
+    detail.averageRating = rating ? Math.round(rating.average * 10) / 10 : 0;
+    detail.reviewCount = rating ? rating.count : 0;
+  }
+
+  if (expand.includes("related")) {
+    detail.relatedProducts = await db.Product.find({
+      _id: { $ne: product._id },
+      suitableSkin: product.suitableSkin?._id || product.suitableSkin,
+      isDeleted: { $ne: true },
+    })
+      .select("name price image quantity")
+      .sort({ createdAt: -1 })
+      .limit(RELATED_PRODUCTS_LIMIT);
+  }
+
+  return detail;
+};
+
 /**
  * @swagger
  * tags:
@@ -13,36 +133,412 @@ const productRoute = express.Router();
  *   description: API for products
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         dryRun:
+ *           type: boolean
+ *         imported:
+ *           type: boolean
+ *           description: Whether all the products were saved
+ *         total:
+ *           type: number
+ *         created:
+ *           type: number
+ *         updated:
+ *           type: number
+ *         failed:
+ *           type: number
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: number
+ *                 description: The line in the CSV file, or the position in the JSON array
+ *               sku:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [create, update]
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               saved:
+ *                 type: boolean
+ *     PriceChange:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         variant:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [scheduled, sale]
+ *           description: >
+ *             A scheduled price becomes the new price when it starts, a sale overrides the price until it ends.
+ *         price:
+ *           type: number
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         note:
+ *           type: string
+ *         createBy:
+ *           type: string
+ *     PriceHistory:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [price, sale]
+ *         price:
+ *           type: number
+ *         previousPrice:
+ *           type: number
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           description: Only set for sales
+ *         priceChange:
+ *           type: string
+ *           description: The scheduled price or sale the entry comes from
+ *         actor:
+ *           type: string
+ *         note:
+ *           type: string
+ */
+
 /**
  * @swagger
  * /api/products:
  *   get:
  *     tags:
  *       - Products
- *     summary: Get all products
+ *     summary: Search, filter, sort and paginate products
+ *     description: >
+ *       Without page or limit every matching product is returned as an array. With either of them one page is
+ *       returned, with paging info. Prices are filtered and sorted on `effectivePrice`, the price the product
+ *       sells at right now (sales and scheduled prices included); products with variants start at their cheapest variant.
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Full-text search on name and description
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *         description: Brand ID, or a comma separated list of IDs
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID, or a comma separated list of IDs
+ *       - in: query
+ *         name: suitableSkin
+ *         schema:
+ *           type: string
+ *         description: Skin ID, or a comma separated list of IDs
+ *       - in: query
+ *         name: ingredients
+ *         schema:
+ *           type: string
+ *         description: Only products containing all of these ingredient IDs (comma separated)
+ *       - in: query
+ *         name: excludeIngredients
+ *         schema:
+ *           type: string
+ *         description: Only products containing none of these ingredient IDs (comma separated)
+ *       - in: query
+ *         name: freeFrom
+ *         schema:
+ *           type: string
+ *           example: "fragrance,alcohol"
+ *         description: >
+ *           Only products without any ingredient flagged with one of these allergens
+ *           (fragrance, alcohol, essential_oil, paraben, sulfate, silicone, formaldehyde_releaser, lanolin, nut)
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Minimum effectivePrice
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Maximum effectivePrice
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only return products with stock left
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, newest, price_asc, price_desc, rating, best_selling]
+ *         description: Defaults to relevance when searching, newest otherwise
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Pages the result, 1 when only limit is given
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 100
+ *         description: Pages the result, 20 when only page is given
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - type: array
+ *                   description: Without page or limit
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 - type: object
+ *                   description: With page or limit
+ *                   properties:
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Product'
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *       400:
+ *         description: Invalid query parameter
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.get("/", async (req, res) => {
+  try {
+    res.status(200).json(await listProducts(req.query));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/all:
+ *   get:
+ *     tags:
+ *       - Products
+ *     summary: List products including deleted ones
+ *     description: Accepts the same query parameters as GET /api/products, plus `deleted`.
+ *     parameters:
+ *       - in: query
+ *         name: deleted
+ *         schema:
+ *           type: string
+ *           enum: [include, only]
+ *           default: include
+ *         description: Whether to include deleted products or list only deleted ones
  *     responses:
  *       200:
  *         description: Successful response
+ *       400:
+ *         description: Invalid query parameter
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.get("/all", authMiddleware, roleMiddleware(["admin"]), async (req, res) => {
+  try {
+    const baseFilter = req.query.deleted === "only" ? { isDeleted: true } : {};
+    res.status(200).json(await listProducts(req.query, { baseFilter }));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     tags:
+ *       - Products
+ *     summary: Export the catalog as CSV or JSON
+ *     description: >
+ *       Exports every product that is not deleted, with brand, category, skin and ingredients by name,
+ *       in the same format accepted by POST /api/products/import. CSV files have one row per variant.
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: The catalog file
  *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Product'
+ *                 type: object
+ *       400:
+ *         description: Unknown format
  *       403:
  *         description: Forbidden, user does not have permission
  *       500:
  *         description: Internal server error
  */
-productRoute.get("/", async (req, res) => {
+productRoute.get("/export", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
-    const products = await db.Product.find();
-    res.status(200).json(products);
+    const format = req.query.format || "csv";
+    if (!["csv", "json"].includes(format)) {
+      return res.status(400).json({ message: "format must be csv or json." });
+    }
+
+    const content = await exportProducts(format);
+    res.attachment(`products.${format}`);
+    res.type(format === "csv" ? "text/csv" : "application/json");
+    res.status(200).send(content);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/products/import:
+ *   post:
+ *     tags:
+ *       - Products
+ *     summary: Create or update products in bulk from CSV or JSON
+ *     description: >
+ *       Products are matched by `sku`: existing ones are updated, the others created. Brand, category, skin
+ *       (by type) and ingredients (by INCI name, separated by ";" in CSV) are given by name. Variants are
+ *       matched by their own SKU. Every row is validated first and nothing is saved if any row fails.
+ *       Deleted products cannot be imported until they are restored. Products are saved one by one, a
+ *       product whose stock changed during the import is not saved and a failed save stops the import;
+ *       `saved` on each row tells what was saved.
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Only validate and report what would be created or updated
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: >
+ *                   A .csv file with the columns sku, name, description, price, quantity, image, brand, category,
+ *                   suitableSkin, ingredients, lowStockThreshold, weight, variantSku, variantSize, variantVolume,
+ *                   variantShade, variantPrice, variantQuantity, variantImage and variantWeight (grams per unit),
+ *                   or a .json file with an array of products
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     brand:
+ *                       type: string
+ *                       example: "La Roche-Posay"
+ *                     ingredients:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["Aqua", "Niacinamide"]
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Unreadable file, or some rows are invalid (the report lists the errors per row)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.post(
+  "/import",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  uploadImportFile("file"),
+  async (req, res) => {
+    try {
+      const records = parseImport({ file: req.file, body: req.body });
+      if (records.length === 0) {
+        return res.status(400).json({ message: "The import does not contain any product." });
+      }
+
+      const report = await importProducts(records, { dryRun: req.query.dryRun === "true", createBy: req.user._id });
+      res.status(report.failed > 0 ? 400 : 200).json(report);
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/products/{id}:
@@ -57,6 +553,16 @@ productRoute.get("/", async (req, res) => {
  *         schema:
  *           type: string
  *         description: The product ID
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           example: "brand,category,skin,ingredients,rating,related"
+ *         description: >
+ *           Comma separated list of brand, category, skin, creator, ingredients, rating and related, or "all".
+ *           When present the response also carries `stockStatus` (in_stock, low_stock, out_of_stock) and
+ *           `effectivePrice` on the product and its variants, the price checkout charges right now;
+ *           rating adds `averageRating` and `reviewCount`, related adds `relatedProducts` with the same skin type.
  *     responses:
  *       200:
  *         description: Successful response
@@ -64,6 +570,8 @@ productRoute.get("/", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Unknown expand value
  *       404:
  *         description: Product not found
  *       500:
@@ -73,7 +581,19 @@ productRoute.get("/:id", async (req, res) => {
   const productId = req.params.id;
 
   try {
-    const product = await db.Product.findById(productId);
+    if (req.query.expand !== undefined) {
+      const expand = parseExpand(req.query.expand);
+      if (!expand) {
+        return res.status(400).json({ message: `expand must be a list of ${EXPANDABLE.join(", ")} or all.` });
+      }
+      const detail = await buildProductDetail(productId, expand);
+      if (!detail) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+      return res.status(200).json(detail);
+    }
+
+    const product = await db.Product.findOne({ _id: productId, isDeleted: { $ne: true } });
 
     if (!product) {
       return res.status(404).json({ message: "Product not found" });
@@ -85,6 +605,87 @@ productRoute.get("/:id", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/products/{id}/ingredients:
+ *   get:
+ *     tags:
+ *       - Products
+ *     summary: Get the ingredient breakdown of a product
+ *     description: >
+ *       Lists the ingredients in INCI order with their functions and allergen flags, the allergens found
+ *       in the product and the ones it is free from.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 product:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                 ingredients:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       position:
+ *                         type: number
+ *                       _id:
+ *                         type: string
+ *                       inciName:
+ *                         type: string
+ *                       commonName:
+ *                         type: string
+ *                       functions:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       allergens:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                 allergens:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 freeFrom:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.get("/:id/ingredients", async (req, res) => {
+  try {
+    const product = await db.Product.findOne({ _id: req.params.id, isDeleted: { $ne: true } })
+      .select("name ingredients")
+      .populate("ingredients", "inciName commonName functions allergens");
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    res.status(200).json(buildIngredientBreakdown(product));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/products:
@@ -101,6 +702,8 @@ productRoute.get("/:id", async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
+ *               sku:
+ *                 type: string
  *               description:
  *                 type: string
  *               quantity:
@@ -115,6 +718,33 @@ productRoute.get("/:id", async (req, res) => {
  *                 type: string
  *               brand:
  *                 type: string
+ *               ingredients:
+ *                 type: array
+ *                 description: Ingredient IDs in INCI order
+ *                 items:
+ *                   type: string
+ *               lowStockThreshold:
+ *                 type: number
+ *                 description: Stock level at or below which the product is reported as low stock
+ *               weight:
+ *                 type: number
+ *                 description: Grams per unit, used for the shipping fee
+ *               variants:
+ *                 type: array
+ *                 description: Optional sizes/shades, each with its own SKU, price and stock
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     sku:
+ *                       type: string
+ *                     attributes:
+ *                       type: object
+ *                     price:
+ *                       type: number
+ *                     quantity:
+ *                       type: number
+ *                     image:
+ *                       type: string
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -128,6 +758,7 @@ productRoute.get("/:id", async (req, res) => {
 productRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   const product = new db.Product({
     name: req.body.name,
+    sku: req.body.sku,
     description: req.body.description,
     quantity: req.body.quantity,
     price: req.body.price,
@@ -135,11 +766,38 @@ productRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), asy
     image: req.body.image,
     category: req.body.category,
     brand: req.body.brand,
+    ingredients: req.body.ingredients,
+    lowStockThreshold: req.body.lowStockThreshold,
+    weight: req.body.weight,
+    variants: req.body.variants,
     createBy: req.user._id,
   });
 
   try {
+    const skuError = await checkVariantSkus(product);
+    if (skuError) {
+      return res.status(400).json({ message: skuError });
+    }
+
+    const ingredientError = await checkProductIngredients(req.body.ingredients);
+    if (ingredientError) {
+      return res.status(400).json({ message: ingredientError });
+    }
+
     const newProduct = await product.save();
+    const initialStock = newProduct.variants.length > 0 ? newProduct.variants : [newProduct];
+    await recordMovements(
+      initialStock.map((item) => ({
+        product: newProduct._id,
+        variant: item === newProduct ? undefined : item._id,
+        type: "adjustment",
+        quantity: item.quantity,
+        balance: item.quantity,
+        actor: req.user._id,
+        reason: "Initial stock",
+      }))
+    );
+    await recordPriceHistory(priceHistoryEntries(newProduct, new Map(), req.user._id));
     res.status(201).json(newProduct);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -169,6 +827,8 @@ productRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), asy
  *             properties:
  *               name:
  *                 type: string
+ *               sku:
+ *                 type: string
  *               description:
  *                 type: string
  *               quantity:
@@ -183,6 +843,20 @@ productRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), asy
  *                 type: string
  *               brand:
  *                 type: string
+ *               ingredients:
+ *                 type: array
+ *                 description: Ingredient IDs in INCI order, replaces the current list
+ *                 items:
+ *                   type: string
+ *               lowStockThreshold:
+ *                 type: number
+ *                 description: Stock level at or below which the product is reported as low stock
+ *               weight:
+ *                 type: number
+ *                 description: Grams per unit, used for the shipping fee
+ *               reason:
+ *                 type: string
+ *                 description: Why the quantity is changed, kept in the inventory ledger
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -190,6 +864,8 @@ productRoute.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), asy
  *         description: Bad request
  *       403:
  *         description: Forbidden, user does not have permission
+ *       409:
+ *         description: The stock of the product changed since it was read, nothing was saved
  *       500:
  *         description: Internal server error
  */
@@ -197,25 +873,58 @@ productRoute.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), a
   const productId = req.params.id;
 
   try {
-    const updatedProduct = await db.Product.findByIdAndUpdate(
-      productId,
-      {
-        name: req.body.name,
-        description: req.body.description,
-        quantity: req.body.quantity,
-        price: req.body.price,
-        suitableSkin: req.body.suitableSkin,
-        image: req.body.image,
-        category: req.body.category,
-        brand: req.body.brand,
-      },
-      { new: true }
-    );
-
-    if (!updatedProduct) {
+    const product = await db.Product.findById(productId).select("quantity variants._id");
+    if (!product) {
       return res.status(404).json({ message: "Product not found" });
     }
 
+    const ingredientError = await checkProductIngredients(req.body.ingredients);
+    if (ingredientError) {
+      return res.status(400).json({ message: ingredientError });
+    }
+
+    const update = {
+      name: req.body.name,
+      sku: req.body.sku,
+      description: req.body.description,
+      quantity: req.body.quantity,
+      price: req.body.price,
+      suitableSkin: req.body.suitableSkin,
+      image: req.body.image,
+      category: req.body.category,
+      brand: req.body.brand,
+      ingredients: req.body.ingredients,
+      lowStockThreshold: req.body.lowStockThreshold,
+      weight: req.body.weight,
+    };
+    // The stock of a product with variants is the sum of its variants and is changed through them. A new
+    // stock level only replaces the one it was read against, so sales in the meantime are not overwritten.
+    const filter = { _id: productId };
+    if (product.variants.length > 0) {
+      delete update.quantity;
+    } else if (update.quantity !== undefined) {
+      filter.quantity = product.quantity;
+    }
+
+    // The document before the update gives the exact stock change for the inventory ledger.
+    const previous = await db.Product.findOneAndUpdate(filter, update);
+    if (!previous) {
+      return res.status(409).json({ message: "The stock of this product was changed meanwhile, please try again." });
+    }
+    const updatedProduct = await db.Product.findById(productId);
+    await takeFromBatches([{ product: productId, quantity: updatedProduct.quantity - previous.quantity }]);
+    await recordMovements([
+      {
+        product: productId,
+        type: "adjustment",
+        quantity: updatedProduct.quantity - previous.quantity,
+        balance: updatedProduct.quantity,
+        actor: req.user._id,
+        reason: req.body.reason,
+      },
+    ]);
+    await recordPriceHistory(priceHistoryEntries(updatedProduct, priceLevels(previous), req.user._id));
+
     res.status(200).json(updatedProduct);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -229,6 +938,7 @@ productRoute.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), a
  *     tags:
  *       - Products
  *     summary: Delete a product
+ *     description: Soft delete. The product is hidden from customers and checkout but kept for existing orders and feedback.
  *     parameters:
  *       - in: path
  *         name: id
@@ -250,7 +960,11 @@ productRoute.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"])
   const productId = req.params.id;
 
   try {
-    const deletedProduct = await db.Product.findByIdAndDelete(productId);
+    // Orders and feedback keep referencing the product, so it is only hidden.
+    const deletedProduct = await db.Product.findOneAndUpdate(
+      { _id: productId, isDeleted: { $ne: true } },
+      { isDeleted: true, deletedAt: new Date() }
+    );
 
     if (!deletedProduct) {
       return res.status(404).json({ message: "Product not found" });
@@ -262,4 +976,748 @@ productRoute.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"])
   }
 });
 
+/**
+ * @swagger
+ * /api/products/{id}/restore:
+ *   patch:
+ *     tags:
+ *       - Products
+ *     summary: Restore a deleted product
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *     responses:
+ *       200:
+ *         description: Product restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Deleted product not found
+ */
+productRoute.patch("/:id/restore", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const restoredProduct = await db.Product.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: true },
+      { isDeleted: false, $unset: { deletedAt: 1 } },
+      { new: true }
+    );
+
+    if (!restoredProduct) {
+      return res.status(404).json({ message: "Deleted product not found" });
+    }
+
+    res.status(200).json(restoredProduct);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   post:
+ *     tags:
+ *       - Products
+ *     summary: Add a variant to a product
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *                 example: "SERUM-VITC-30ML"
+ *               attributes:
+ *                 type: object
+ *                 properties:
+ *                   size:
+ *                     type: string
+ *                   volume:
+ *                     type: string
+ *                     example: "30ml"
+ *                   shade:
+ *                     type: string
+ *               price:
+ *                 type: number
+ *                 example: 350000
+ *               quantity:
+ *                 type: number
+ *                 example: 20
+ *               image:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *                 description: Grams per unit, the product weight when not set
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Variant added, returns the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product not found
+ */
+productRoute.post("/:id/variants", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const product = await db.Product.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const pricesBefore = priceLevels(product);
+    const variant = {};
+    VARIANT_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) variant[field] = req.body[field];
+    });
+    const quantity = Number(variant.quantity ?? 0);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return res.status(400).json({ message: "Quantity must be a non-negative integer." });
+    }
+    // Saving the product with the initial stock would write back the product total as read here.
+    product.variants.push({ ...variant, quantity: 0 });
+
+    const skuError = await checkVariantSkus(product);
+    if (skuError) {
+      return res.status(400).json({ message: skuError });
+    }
+
+    await product.save();
+    const newVariant = product.variants[product.variants.length - 1];
+    if (quantity > 0) {
+      const change = await applyStockChange({ product: product._id, variant: newVariant._id, quantity });
+      await recordMovements([{ ...change, type: "adjustment", actor: req.user._id, reason: "Initial stock" }]);
+    }
+    const updatedProduct = await db.Product.findById(product._id);
+    await recordPriceHistory(priceHistoryEntries(updatedProduct, pricesBefore, req.user._id));
+    res.status(201).json(updatedProduct);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   put:
+ *     tags:
+ *       - Products
+ *     summary: Update a variant of a product
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The variant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sku:
+ *                 type: string
+ *                 example: "SERUM-VITC-30ML"
+ *               attributes:
+ *                 type: object
+ *                 properties:
+ *                   size:
+ *                     type: string
+ *                   volume:
+ *                     type: string
+ *                     example: "30ml"
+ *                   shade:
+ *                     type: string
+ *               price:
+ *                 type: number
+ *                 example: 350000
+ *               quantity:
+ *                 type: number
+ *                 example: 20
+ *               image:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *                 description: Grams per unit, the product weight when not set
+ *               isActive:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *                 description: Why the quantity is changed, kept in the inventory ledger
+ *     responses:
+ *       200:
+ *         description: Variant updated, returns the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: The stock of the variant changed since it was read, nothing was saved
+ */
+productRoute.put("/:id/variants/:variantId", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const product = await db.Product.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+    const variant = product && findVariant(product, req.params.variantId);
+    if (!variant) {
+      return res.status(404).json({ message: "Variant not found" });
+    }
+
+    const previousQuantity = variant.quantity;
+    const pricesBefore = priceLevels(product);
+    VARIANT_FIELDS.filter((field) => field !== "quantity").forEach((field) => {
+      if (req.body[field] !== undefined) variant[field] = req.body[field];
+    });
+
+    const skuError = await checkVariantSkus(product);
+    if (skuError) {
+      return res.status(400).json({ message: skuError });
+    }
+    await product.validate();
+
+    // The stock is changed by the difference to what was read, not overwritten, so units reserved by
+    // checkouts in the meantime are not lost.
+    let change = null;
+    if (req.body.quantity !== undefined && Number(req.body.quantity) !== previousQuantity) {
+      const quantity = Number(req.body.quantity);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        return res.status(400).json({ message: "Quantity must be a non-negative integer." });
+      }
+      change = await applyStockChange(
+        { product: product._id, variant: variant._id, quantity: quantity - previousQuantity },
+        { expected: previousQuantity }
+      );
+      if (!change) {
+        return res.status(409).json({ message: "The stock of this variant was changed meanwhile, please try again." });
+      }
+    }
+
+    await product.save();
+    if (change) {
+      await takeFromBatches([change]);
+      await recordMovements([{ ...change, type: "adjustment", actor: req.user._id, reason: req.body.reason }]);
+    }
+    const updatedProduct = await db.Product.findById(product._id);
+    await recordPriceHistory(priceHistoryEntries(updatedProduct, pricesBefore, req.user._id));
+    res.status(200).json(updatedProduct);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/variants/{variantId}:
+ *   delete:
+ *     tags:
+ *       - Products
+ *     summary: Deactivate a variant of a product
+ *     description: The variant is kept for existing orders but can no longer be bought.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The variant ID
+ *     responses:
+ *       200:
+ *         description: Variant deactivated
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product or variant not found
+ */
+productRoute.delete(
+  "/:id/variants/:variantId",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  async (req, res) => {
+    try {
+      const updatedProduct = await db.Product.findOneAndUpdate(
+        { _id: req.params.id, "variants._id": req.params.variantId },
+        { "variants.$.isActive": false },
+        { new: true }
+      );
+
+      if (!updatedProduct) {
+        return res.status(404).json({ message: "Variant not found" });
+      }
+
+      res.status(200).json({ message: "Variant deactivated successfully" });
+    } catch (error) {
+      res.status(400).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/prices:
+ *   get:
+ *     tags:
+ *       - Products
+ *     summary: Get the price history and pending price changes of a product
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 effectivePrice:
+ *                   type: number
+ *                 variants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       sku:
+ *                         type: string
+ *                       price:
+ *                         type: number
+ *                       effectivePrice:
+ *                         type: number
+ *                 priceChanges:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PriceChange'
+ *                 history:
+ *                   type: array
+ *                   description: Newest first
+ *                   items:
+ *                     $ref: '#/components/schemas/PriceHistory'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.get("/:id/prices", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const product = await db.Product.findById(req.params.id).select("price variants priceChanges");
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const history = await db.PriceHistory.find({ product: product._id })
+      .populate("actor", "username email")
+      .sort({ startsAt: -1 });
+    res.status(200).json({
+      price: product.price,
+      effectivePrice: getUnitPrice(product),
+      variants: product.variants.map((variant) => ({
+        _id: variant._id,
+        sku: variant.sku,
+        price: variant.price,
+        effectivePrice: getUnitPrice(product, variant),
+      })),
+      priceChanges: product.priceChanges,
+      history,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/prices:
+ *   post:
+ *     tags:
+ *       - Products
+ *     summary: Schedule a price change or a sale
+ *     description: >
+ *       A scheduled price replaces the price when it starts. A sale overrides the price from startsAt
+ *       (default now) until endsAt. Checkout always charges the price in effect when the order is placed.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, price]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [scheduled, sale]
+ *               variant:
+ *                 type: string
+ *                 description: Required for products with variants
+ *               price:
+ *                 type: number
+ *                 example: 299000
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required for sales
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Price change scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PriceChange'
+ *       400:
+ *         description: Invalid type, price or dates
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: Overlaps another sale
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.post("/:id/prices", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const product = await db.Product.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const change = await addPriceChange(product, req.body, req.user._id);
+    res.status(201).json(change);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/prices/{changeId}:
+ *   delete:
+ *     tags:
+ *       - Products
+ *     summary: Cancel a scheduled price change or end a sale now
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *       - in: path
+ *         name: changeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The price change ID
+ *     responses:
+ *       200:
+ *         description: Price change canceled
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product or price change not found
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.delete("/:id/prices/:changeId", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const product = await db.Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    await cancelPriceChange(product, req.params.changeId);
+    res.status(200).json({ message: "Price change canceled" });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   post:
+ *     tags:
+ *       - Products
+ *     summary: Upload images to the product gallery
+ *     description: >
+ *       Accepts up to 10 JPEG, PNG or WebP files of at most 5MB each. A thumbnail is generated for every image.
+ *       The first image of an empty gallery becomes the primary image.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               alt:
+ *                 type: array
+ *                 description: Alt text for each image, in upload order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Images uploaded, returns the product
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: No file, wrong file type or file too large
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Internal server error
+ */
+productRoute.post(
+  "/:id/images",
+  authMiddleware,
+  roleMiddleware(["admin", "manager"]),
+  uploadImages("images"),
+  async (req, res) => {
+    const stored = [];
+    try {
+      const product = await db.Product.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+      if (!product) {
+        return res.status(404).json({ message: "Product not found" });
+      }
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: "At least one image is required." });
+      }
+
+      // Keep the picture of products created before galleries existed as their first image.
+      if (product.images.length === 0 && product.image) {
+        product.images.push({ url: product.image, alt: product.name, isPrimary: true });
+      }
+
+      const alts = [].concat(req.body.alt || []);
+      for (const [index, file] of req.files.entries()) {
+        const image = await storeProductImage(product._id, file);
+        stored.push(image);
+        product.images.push({ ...image, alt: alts[index] || product.name });
+      }
+
+      const updatedProduct = await product.save();
+      res.status(201).json(updatedProduct);
+    } catch (error) {
+      await Promise.all(stored.map((image) => removeProductImage(image)));
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   patch:
+ *     tags:
+ *       - Products
+ *     summary: Reorder the gallery, change alt texts or pick the primary image
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 description: Every image of the gallery, in the new order
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     alt:
+ *                       type: string
+ *                     isPrimary:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Gallery updated, returns the product
+ *       400:
+ *         description: The list does not match the gallery or has several primary images
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product not found
+ */
+productRoute.patch("/:id/images", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const product = await db.Product.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+    if (!product) {
+      return res.status(404).json({ message: "Product not found" });
+    }
+
+    const entries = Array.isArray(req.body.images) ? req.body.images : [];
+    const ids = entries.map((entry) => String(entry._id));
+    const isSameGallery =
+      ids.length === product.images.length &&
+      new Set(ids).size === ids.length &&
+      ids.every((id) => product.images.id(id));
+    if (!isSameGallery) {
+      return res.status(400).json({ message: "The list must contain every image of the gallery exactly once." });
+    }
+    if (entries.filter((entry) => entry.isPrimary).length > 1) {
+      return res.status(400).json({ message: "Only one image can be primary." });
+    }
+
+    const primaryChanged = entries.some((entry) => entry.isPrimary);
+    product.images = entries.map((entry) => {
+      const image = product.images.id(entry._id).toObject();
+      return {
+        ...image,
+        alt: entry.alt !== undefined ? entry.alt : image.alt,
+        isPrimary: primaryChanged ? Boolean(entry.isPrimary) : image.isPrimary,
+      };
+    });
+
+    const updatedProduct = await product.save();
+    res.status(200).json(updatedProduct);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/images/{imageId}:
+ *   delete:
+ *     tags:
+ *       - Products
+ *     summary: Remove an image from the product gallery
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The product ID
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The image ID
+ *     responses:
+ *       200:
+ *         description: Image removed, returns the product
+ *       400:
+ *         description: The last image of a product cannot be removed
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product or image not found
+ */
+productRoute.delete("/:id/images/:imageId", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const product = await db.Product.findOne({ _id: req.params.id, isDeleted: { $ne: true } });
+    const image = product && product.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: "Image not found" });
+    }
+    if (product.images.length === 1) {
+      return res.status(400).json({ message: "A product needs at least one image." });
+    }
+
+    product.images.pull(image._id);
+    const updatedProduct = await product.save();
+    await removeProductImage(image);
+    res.status(200).json(updatedProduct);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = productRoute;
@@ -1,7 +1,90 @@
 const express = require("express");
 const Promotion = require("../models/promotion.model");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { validatePromotion } = require("../utils/promotion");
+const { findVariant, getUnitPrice } = require("../utils/productVariant");
 const router = express.Router();
 
+const PROMOTION_FIELDS = [
+  "code",
+  "type",
+  "discount",
+  "minOrderValue",
+  "maxDiscount",
+  "applicableProducts",
+  "applicableBrands",
+  "applicableCategories",
+  "applicableSkins",
+  "startAt",
+  "expiredAt",
+  "status",
+  "usageLimit",
+  "perCustomerLimit",
+];
+
+const isValidDate = (value) => value && !isNaN(new Date(value).getTime());
+
+const isOptionalPositiveInteger = (value) =>
+  value === undefined || value === null || (Number.isInteger(value) && value >= 1);
+
+const isOptionalNonNegative = (value) =>
+  value === undefined || value === null || (typeof value === "number" && value >= 0);
+
+// Copies only the editable fields onto `promotion` and returns the validation error, if any.
+const applyPromotionInput = (promotion, body) => {
+  PROMOTION_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      promotion[field] = field === "code" ? String(body[field]).trim() : body[field];
+    }
+  });
+
+  if (!promotion.code) {
+    return "Code is required";
+  }
+  if (promotion.type === "percentage") {
+    if (typeof promotion.discount !== "number" || promotion.discount <= 0 || promotion.discount > 100) {
+      return "Discount must be a percentage greater than 0 and at most 100";
+    }
+  } else if (promotion.type === "fixed") {
+    if (typeof promotion.discount !== "number" || promotion.discount <= 0) {
+      return "Discount must be an amount greater than 0";
+    }
+  }
+  if (!isOptionalNonNegative(promotion.minOrderValue) || !isOptionalNonNegative(promotion.maxDiscount)) {
+    return "Minimum order value and maximum discount cannot be negative";
+  }
+  if (!isValidDate(promotion.expiredAt)) {
+    return "Expired date is invalid";
+  }
+  if (body.expiredAt !== undefined && new Date(promotion.expiredAt) <= new Date()) {
+    return "Expired date must be in the future";
+  }
+  if (promotion.startAt) {
+    if (!isValidDate(promotion.startAt)) {
+      return "Start date is invalid";
+    }
+    if (new Date(promotion.startAt) >= new Date(promotion.expiredAt)) {
+      return "Start date must be before the expired date";
+    }
+  }
+  if (!isOptionalPositiveInteger(promotion.usageLimit) || !isOptionalPositiveInteger(promotion.perCustomerLimit)) {
+    return "Usage limits must be positive integers";
+  }
+  return null;
+};
+
+const handlePromotionSaveError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ message: "Code is already existed" });
+  }
+  if (error.name === "ValidationError" || error.name === "CastError") {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
 /**
  * @swagger
  * tags:
@@ -24,10 +107,12 @@ const router = express.Router();
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Promotion'
+ *       403:
+ *         description: Không có quyền truy cập.
  *       500:
  *         description: Lỗi server.
  */
-router.get("/", async (req, res) => {
+router.get("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
     const promotions = await Promotion.find();
     res.status(200).json(promotions);
@@ -36,6 +121,179 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/promotions/validate:
+ *   post:
+ *     summary: Kiểm tra mã khuyến mãi trước khi thanh toán
+ *     tags: [Promotion]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "SAVE20"
+ *               subtotal:
+ *                 type: number
+ *                 description: Tổng tiền hàng trước khi giảm giá (bỏ qua nếu gửi kèm items).
+ *                 example: 500000
+ *               items:
+ *                 type: array
+ *                 description: Sản phẩm trong giỏ hàng, cần cho các mã chỉ áp dụng với một số sản phẩm.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Mã khuyến mãi hợp lệ.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valid:
+ *                   type: boolean
+ *                 code:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 discount:
+ *                   type: number
+ *                   description: Số tiền được giảm.
+ *                 freeShipping:
+ *                   type: boolean
+ *                 subtotal:
+ *                   type: number
+ *                 total:
+ *                   type: number
+ *                   description: Tổng tiền sau khi giảm.
+ *                 expiredAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: >
+ *           Mã khuyến mãi không hợp lệ. `code` là một trong PROMOTION_NOT_FOUND, PROMOTION_INACTIVE,
+ *           PROMOTION_NOT_STARTED, PROMOTION_EXPIRED, PROMOTION_USAGE_LIMIT_REACHED,
+ *           PROMOTION_MIN_ORDER_NOT_MET, PROMOTION_NOT_APPLICABLE.
+ *       500:
+ *         description: Lỗi server.
+ */
+router.post("/validate", async (req, res) => {
+  try {
+    const { code, items } = req.body;
+    if (!code) {
+      return res.status(400).json({ valid: false, message: "Code is required" });
+    }
+
+    // With items the subtotal is priced from the catalog at current prices, which scoped promotions need anyway.
+    let subtotal = Number(req.body.subtotal) || 0;
+    let lines;
+    if (Array.isArray(items) && items.length > 0) {
+      const products = await db.Product.find({ _id: { $in: items.map((item) => item.product) } });
+      lines = items
+        .map((item) => {
+          const product = products.find((candidate) => candidate._id.toString() === String(item.product));
+          return {
+            product,
+            quantity: Number(item.quantity) || 1,
+            price: product && getUnitPrice(product, findVariant(product, item.variant)),
+          };
+        })
+        .filter((line) => line.product);
+      subtotal = lines.reduce((sum, { price, quantity }) => sum + price * quantity, 0);
+    }
+
+    const { promotion, discount, freeShipping } = await validatePromotion(code, { subtotal, lines });
+    res.status(200).json({
+      valid: true,
+      code: promotion.code,
+      type: promotion.type,
+      discount,
+      freeShipping,
+      subtotal,
+      total: subtotal - discount,
+      expiredAt: promotion.expiredAt,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ valid: false, message: error.message, code: error.code });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/promotions/{id}/redemptions:
+ *   get:
+ *     summary: Lấy lịch sử sử dụng của một mã khuyến mãi
+ *     tags: [Promotion]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID của chương trình khuyến mãi
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Danh sách các lần sử dụng, mới nhất trước.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                   account:
+ *                     type: object
+ *                   order:
+ *                     type: object
+ *                   discount:
+ *                     type: number
+ *                   status:
+ *                     type: string
+ *                     enum: ["Applied", "Released"]
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *       403:
+ *         description: Không có quyền truy cập.
+ *       404:
+ *         description: Chương trình khuyến mãi không tồn tại.
+ *       500:
+ *         description: Lỗi server.
+ */
+router.get("/:id/redemptions", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({ message: "Promotion not found" });
+    }
+
+    const redemptions = await db.PromotionRedemption.find({ promotion: promotion._id })
+      .populate("account", "username email")
+      .populate("order", "status totalAmount createdAt")
+      .sort({ createdAt: -1 });
+    res.status(200).json(redemptions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/promotions/{id}:
@@ -56,12 +314,14 @@ router.get("/", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Promotion'
+ *       403:
+ *         description: Không có quyền truy cập.
  *       404:
  *         description: Chương trình khuyến mãi không tồn tại.
  *       500:
  *         description: Lỗi server.
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
     const promotion = await Promotion.findById(req.params.id);
     if (!promotion) {
@@ -92,12 +352,8 @@ router.get("/:id", async (req, res) => {
  *                 example: "SAVE20"
  *               discount:
  *                 type: number
- *                 description: Giá trị giảm giá.
+ *                 description: Phần trăm giảm giá (0 < discount ≤ 100) hoặc số tiền giảm với loại fixed.
  *                 example: 20
- *               createBy:
- *                 type: string
- *                 description: ID của tài khoản tạo chương trình khuyến mãi.
- *                 example: "64f8a6d123abc4567e891011"
  *               expiredAt:
  *                 type: string
  *                 format: date-time
@@ -107,6 +363,46 @@ router.get("/:id", async (req, res) => {
  *                 type: boolean
  *                 description: Trạng thái kích hoạt của chương trình khuyến mãi.
  *                 example: true
+ *               type:
+ *                 type: string
+ *                 enum: ["percentage", "fixed", "free_shipping"]
+ *                 description: Loại khuyến mãi (mặc định percentage).
+ *               minOrderValue:
+ *                 type: number
+ *                 description: Giá trị đơn hàng tối thiểu.
+ *                 example: 200000
+ *               maxDiscount:
+ *                 type: number
+ *                 description: Số tiền giảm tối đa cho loại percentage.
+ *                 example: 100000
+ *               applicableProducts:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               applicableBrands:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               applicableCategories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               applicableSkins:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Thời gian bắt đầu áp dụng.
+ *               perCustomerLimit:
+ *                 type: number
+ *                 description: Số lần mỗi khách hàng được dùng mã.
+ *                 example: 1
+ *               usageLimit:
+ *                 type: number
+ *                 description: Số lần mã được sử dụng tối đa (bỏ trống nếu không giới hạn).
+ *                 example: 100
  *     responses:
  *       201:
  *         description: Chương trình khuyến mãi được tạo thành công.
@@ -116,16 +412,23 @@ router.get("/:id", async (req, res) => {
  *               $ref: '#/components/schemas/Promotion'
  *       400:
  *         description: Dữ liệu đầu vào không hợp lệ.
+ *       403:
+ *         description: Không có quyền truy cập.
  *       500:
  *         description: Lỗi server.
  */
-router.post("/", async (req, res) => {
+router.post("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
-    const promotion = new Promotion(req.body);
+    const promotion = new Promotion({ createBy: req.user._id });
+    const validationError = applyPromotionInput(promotion, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
     const savedPromotion = await promotion.save();
     res.status(201).json(savedPromotion);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    handlePromotionSaveError(res, error);
   }
 });
 
@@ -155,12 +458,8 @@ router.post("/", async (req, res) => {
  *                 example: "SAVE25"
  *               discount:
  *                 type: number
- *                 description: Giá trị giảm giá.
+ *                 description: Phần trăm giảm giá (0 < discount ≤ 100) hoặc số tiền giảm với loại fixed.
  *                 example: 25
- *               createBy:
- *                 type: string
- *                 description: ID của tài khoản tạo chương trình khuyến mãi.
- *                 example: "64f8a6d123abc4567e891011"
  *               expiredAt:
  *                 type: string
  *                 format: date-time
@@ -170,6 +469,46 @@ router.post("/", async (req, res) => {
  *                 type: boolean
  *                 description: Trạng thái kích hoạt.
  *                 example: false
+ *               type:
+ *                 type: string
+ *                 enum: ["percentage", "fixed", "free_shipping"]
+ *                 description: Loại khuyến mãi (mặc định percentage).
+ *               minOrderValue:
+ *                 type: number
+ *                 description: Giá trị đơn hàng tối thiểu.
+ *                 example: 200000
+ *               maxDiscount:
+ *                 type: number
+ *                 description: Số tiền giảm tối đa cho loại percentage.
+ *                 example: 100000
+ *               applicableProducts:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               applicableBrands:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               applicableCategories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               applicableSkins:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Thời gian bắt đầu áp dụng.
+ *               perCustomerLimit:
+ *                 type: number
+ *                 description: Số lần mỗi khách hàng được dùng mã.
+ *                 example: 1
+ *               usageLimit:
+ *                 type: number
+ *                 description: Số lần mã được sử dụng tối đa.
+ *                 example: 200
  *     responses:
  *       200:
  *         description: Chương trình khuyến mãi được cập nhật thành công.
@@ -177,20 +516,29 @@ router.post("/", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Promotion'
+ *       403:
+ *         description: Không có quyền truy cập.
  *       404:
  *         description: Chương trình khuyến mãi không tồn tại.
  *       500:
  *         description: Lỗi server.
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
-    const updatedPromotion = await Promotion.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!updatedPromotion) {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
       return res.status(404).json({ message: "Promotion not found" });
     }
+
+    const validationError = applyPromotionInput(promotion, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const updatedPromotion = await promotion.save();
     res.status(200).json(updatedPromotion);
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    handlePromotionSaveError(res, error);
   }
 });
 
@@ -210,12 +558,14 @@ router.put("/:id", async (req, res) => {
  *     responses:
  *       200:
  *         description: Chương trình khuyến mãi đã được xóa thành công.
+ *       403:
+ *         description: Không có quyền truy cập.
  *       404:
  *         description: Chương trình khuyến mãi không tồn tại.
  *       500:
  *         description: Lỗi server.
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
   try {
     const deletedPromotion = await Promotion.findByIdAndDelete(req.params.id);
     if (!deletedPromotion) {
@@ -0,0 +1,132 @@
+const express = require("express");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { getRefundPolicy, validateRefundPolicy } = require("../utils/refundPolicy");
+
+const refundPolicyRoute = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Refund Policy
+ *   description: API for the rules that decide how much of a canceled order is refunded
+ */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RefundPolicy:
+ *       type: object
+ *       properties:
+ *         fullRefundStatuses:
+ *           type: array
+ *           description: Orders canceled in one of these statuses are refunded in full
+ *           items:
+ *             type: string
+ *             enum: [Paid, Confirmed, Packing]
+ *           example: ["Paid"]
+ *         tiers:
+ *           type: array
+ *           description: >
+ *             Otherwise the shortest tier whose withinHours covers the time since payment sets the percentage
+ *           items:
+ *             type: object
+ *             properties:
+ *               withinHours:
+ *                 type: number
+ *                 example: 24
+ *               percent:
+ *                 type: number
+ *                 example: 80
+ *         defaultPercent:
+ *           type: number
+ *           description: The percentage when no tier applies
+ *           example: 50
+ *         nonRefundableCategories:
+ *           type: array
+ *           description: Products of these categories are never refunded
+ *           items:
+ *             type: string
+ *         updatedBy:
+ *           type: string
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/refund-policy:
+ *   get:
+ *     tags:
+ *       - Refund Policy
+ *     summary: Get the refund policy
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefundPolicy'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+refundPolicyRoute.get("/", authMiddleware, roleMiddleware(["admin", "manager"]), async (req, res) => {
+  try {
+    const policy = await getRefundPolicy();
+    await policy.populate("nonRefundableCategories", "name");
+    res.status(200).json(policy);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/refund-policy:
+ *   put:
+ *     tags:
+ *       - Refund Policy
+ *     summary: Update the refund policy
+ *     description: Only the fields sent are changed. Applies to cancellations from now on, past refunds are kept.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefundPolicy'
+ *     responses:
+ *       200:
+ *         description: Refund policy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefundPolicy'
+ *       400:
+ *         description: Invalid statuses, tiers, percentage or categories
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+refundPolicyRoute.put("/", authMiddleware, roleMiddleware(["admin"]), async (req, res) => {
+  try {
+    const update = await validateRefundPolicy(req.body);
+    const policy = await db.RefundPolicy.findOneAndUpdate(
+      {},
+      { ...update, updatedBy: req.user._id },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+    res.status(200).json(policy);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = refundPolicyRoute;
@@ -0,0 +1,399 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { transitionRefund, findRefundOrder, processRefund, recoverRefund, notifyRefund } = require("../utils/refund");
+
+const refundRoute = express.Router();
+
+const STAFF_ROLES = ["admin", "manager"];
+
+// Customers only see the refunds of their own orders.
+const refundScope = (user) => (STAFF_ROLES.includes(user.role) ? {} : { account: user._id });
+
+const sendRefundError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Refunds
+ *   description: API for approving refunds and paying them out through VNPay
+ */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Refund:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         account:
+ *           type: string
+ *         shippingFee:
+ *           type: number
+ *           description: The shipping fee given back, when the cancellation leaves nothing of the order to ship
+ *         amount:
+ *           type: number
+ *           description: The total refunded, shipping fee included
+ *         reason:
+ *           type: string
+ *         returnRequest:
+ *           type: string
+ *           description: The return request, for refunds of returned goods
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, processing, completed, rejected]
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *               changedBy:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *         gateway:
+ *           type: object
+ *           description: The last answer of the VNPay refund API
+ *           properties:
+ *             requestId:
+ *               type: string
+ *             transactionType:
+ *               type: string
+ *               description: 02 for a full refund, 03 for a partial one
+ *             transactionNo:
+ *               type: string
+ *             responseCode:
+ *               type: string
+ *             message:
+ *               type: string
+ *             respondedAt:
+ *               type: string
+ *               format: date-time
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               item:
+ *                 type: string
+ *                 description: The order item
+ *               product:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               amount:
+ *                 type: number
+ *                 description: What was paid for the units, order discount included
+ *               percent:
+ *                 type: number
+ *               refund:
+ *                 type: number
+ *               rule:
+ *                 type: string
+ *                 enum: [non_refundable_category, full_refund_status, time_since_payment, default, return]
+ *         createBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/refunds:
+ *   get:
+ *     tags:
+ *       - Refunds
+ *     summary: List refunds, newest first
+ *     description: Customers only get the refunds of their own orders.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, processing, completed, rejected]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Invalid order ID
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+refundRoute.get("/", authMiddleware, roleMiddleware([...STAFF_ROLES, "customer"]), async (req, res) => {
+  try {
+    const { status, order } = req.query;
+    const filter = refundScope(req.user);
+    if (status) filter.status = status;
+    if (order) {
+      if (!mongoose.Types.ObjectId.isValid(order)) {
+        return res.status(400).json({ message: "Invalid order ID" });
+      }
+      filter.order = order;
+    }
+
+    const refunds = await db.Refund.find(filter).populate("account", "username email").sort({ createdAt: -1 });
+    res.status(200).json(refunds);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/refunds/{id}:
+ *   get:
+ *     tags:
+ *       - Refunds
+ *     summary: Get a refund with its status history
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The refund ID
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Refund'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Refund not found
+ *       500:
+ *         description: Internal server error
+ */
+refundRoute.get("/:id", authMiddleware, roleMiddleware([...STAFF_ROLES, "customer"]), async (req, res) => {
+  try {
+    const refund = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await db.Refund.findOne({ _id: req.params.id, ...refundScope(req.user) })
+          .populate("account", "username email")
+          .populate("statusHistory.changedBy", "username email role")
+      : null;
+    if (!refund) {
+      return res.status(404).json({ message: "Refund not found" });
+    }
+    res.status(200).json(refund);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/refunds/{id}/approve:
+ *   patch:
+ *     tags:
+ *       - Refunds
+ *     summary: Approve a requested refund and pay it out through VNPay
+ *     description: >
+ *       The refund is sent to the VNPay refund API against the original payment of the order. When VNPay
+ *       refuses it, the refund stays approved with the answer in `gateway` and can be sent again with /retry.
+ *       Once all refunds of a canceled order are completed the order becomes Refunded.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The refund ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund approved, returns it in its latest status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: The refund is not waiting for approval, or the order has no VNPay payment
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Refund not found
+ *       409:
+ *         description: The refund was changed by another request
+ *       500:
+ *         description: Internal server error
+ */
+refundRoute.patch("/:id/approve", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    const refund = mongoose.Types.ObjectId.isValid(req.params.id) ? await db.Refund.findById(req.params.id) : null;
+    if (!refund) {
+      return res.status(404).json({ message: "Refund not found" });
+    }
+
+    await findRefundOrder(refund);
+    const approved = await transitionRefund(refund, "approved", { changedBy: req.user._id, note: req.body.note });
+    const processed = await processRefund(approved, { actor: req.user._id, createBy: req.user.email });
+    if (processed.status === "completed") {
+      notifyRefund(processed);
+    }
+    res.status(200).json(processed);
+  } catch (error) {
+    sendRefundError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/refunds/{id}/retry:
+ *   post:
+ *     tags:
+ *       - Refunds
+ *     summary: Send an approved refund to VNPay again
+ *     description: >
+ *       A refund stuck in processing, e.g. after a crash or a timeout, is settled once it has been processing
+ *       for REFUND_STALE_PROCESSING_MINUTES (15 by default): VNPay is asked about the payment first, the
+ *       refund completes when VNPay has refunded it and goes back to approved otherwise.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The refund ID
+ *     responses:
+ *       200:
+ *         description: Refund sent, returns it in its latest status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: The refund is not approved, or is more than what is left of the payment
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Refund not found
+ *       409:
+ *         description: The refund was changed by another request, or is still being sent to VNPay
+ *       500:
+ *         description: Internal server error
+ *       502:
+ *         description: VNPay could not be asked about a refund stuck in processing
+ */
+refundRoute.post("/:id/retry", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    const refund = mongoose.Types.ObjectId.isValid(req.params.id) ? await db.Refund.findById(req.params.id) : null;
+    if (!refund) {
+      return res.status(404).json({ message: "Refund not found" });
+    }
+
+    const processed =
+      refund.status === "processing"
+        ? await recoverRefund(refund, { actor: req.user._id })
+        : await processRefund(refund, { actor: req.user._id, createBy: req.user.email });
+    if (processed.status === "completed") {
+      notifyRefund(processed);
+    }
+    res.status(200).json(processed);
+  } catch (error) {
+    sendRefundError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/refunds/{id}/reject:
+ *   patch:
+ *     tags:
+ *       - Refunds
+ *     summary: Reject a requested refund
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The refund ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Why the refund is rejected, sent to the customer
+ *     responses:
+ *       200:
+ *         description: Refund rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Missing note, or the refund is not waiting for approval
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Refund not found
+ *       409:
+ *         description: The refund was changed by another request
+ *       500:
+ *         description: Internal server error
+ */
+refundRoute.patch("/:id/reject", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    if (!req.body.note) {
+      return res.status(400).json({ message: "A note is required to reject a refund." });
+    }
+    const refund = mongoose.Types.ObjectId.isValid(req.params.id) ? await db.Refund.findById(req.params.id) : null;
+    if (!refund) {
+      return res.status(404).json({ message: "Refund not found" });
+    }
+
+    const rejected = await transitionRefund(refund, "rejected", { changedBy: req.user._id, note: req.body.note });
+    notifyRefund(rejected);
+    res.status(200).json(rejected);
+  } catch (error) {
+    sendRefundError(res, error);
+  }
+});
+
+module.exports = refundRoute;
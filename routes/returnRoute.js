@@ -0,0 +1,597 @@
+const path = require("path");
+const express = require("express");
+const mongoose = require("mongoose");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { uploadImages } = require("../middleware/uploadMiddleware");
+const {
+  resolveReturnLines,
+  openReturnRequest,
+  transitionReturn,
+  rejectReturn,
+  receiveReturn,
+  PHOTO_STORAGE,
+} = require("../utils/returnRequest");
+const { getStorage } = require("../utils/storage");
+const { processRefund, notifyRefund } = require("../utils/refund");
+
+const returnRoute = express.Router();
+
+const STAFF_ROLES = ["admin", "manager"];
+
+// Customers only see their own return requests.
+const returnScope = (user) => (STAFF_ROLES.includes(user.role) ? {} : { account: user._id });
+
+const findReturn = async (id) => (mongoose.Types.ObjectId.isValid(id) ? db.ReturnRequest.findById(id) : null);
+
+const sendReturnError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Returns
+ *   description: API for returning damaged or wrong products of delivered orders
+ */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         account:
+ *           type: string
+ *         lines:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               item:
+ *                 type: string
+ *                 description: The ID of the order item
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               quantity:
+ *                 type: number
+ *               disposition:
+ *                 type: string
+ *                 enum: [restock, write_off]
+ *                 description: Set once the goods are received
+ *         reason:
+ *           type: string
+ *           enum: [damaged, wrong_item, defective, other]
+ *         description:
+ *           type: string
+ *         photos:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: Served by /api/returns/{id}/photos/{index} to the customer and staff only
+ *               thumbnailUrl:
+ *                 type: string
+ *               width:
+ *                 type: number
+ *               height:
+ *                 type: number
+ *         status:
+ *           type: string
+ *           enum: [requested, approved, received, rejected]
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *               changedBy:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *               changedAt:
+ *                 type: string
+ *                 format: date-time
+ *         refund:
+ *           type: string
+ *           description: The refund created when the goods were received
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     tags:
+ *       - Returns
+ *     summary: Ask to return lines of a delivered order
+ *     description: >
+ *       Opens a return request for lines of one of your delivered orders, within RETURN_WINDOW_DAYS (7 by
+ *       default) of delivery. At least one photo of the product is required, up to 10 JPEG, PNG or WebP files
+ *       of at most 5MB each. The units are set aside until a manager rejects the request.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [order, items, reason, photos]
+ *             properties:
+ *               order:
+ *                 type: string
+ *                 description: The ID of the order
+ *               items:
+ *                 type: string
+ *                 description: >
+ *                   JSON array of `{ item, quantity }` with order item IDs. A line without quantity returns
+ *                   all that was delivered of it.
+ *                 example: '[{"item":"65f1c0a2b4d5e6f7a8b9c0d1","quantity":1}]'
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, wrong_item, defective, other]
+ *               description:
+ *                 type: string
+ *               photos:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Return request opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: >
+ *           The order is not delivered or the return window has passed, invalid items or reason, or no photos
+ *       403:
+ *         description: The order belongs to another customer
+ *       404:
+ *         description: Order or order item not found
+ *       409:
+ *         description: The order was changed by another request
+ *       500:
+ *         description: Internal server error
+ */
+returnRoute.post("/", authMiddleware, roleMiddleware(["customer"]), uploadImages("photos"), async (req, res) => {
+  try {
+    const { order: orderId, reason, description } = req.body;
+    let { items } = req.body;
+    if (typeof items === "string") {
+      try {
+        items = JSON.parse(items);
+      } catch (error) {
+        return res.status(400).json({ message: "Items must be a JSON array." });
+      }
+    }
+
+    const order = mongoose.Types.ObjectId.isValid(orderId)
+      ? await db.Order.findById(orderId).populate("items.product", "name")
+      : null;
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+    if (order.account.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "You can only return your own orders." });
+    }
+
+    const lines = resolveReturnLines(order, items);
+    const returnRequest = await openReturnRequest(order, lines, {
+      reason,
+      description,
+      files: req.files,
+      actor: req.user._id,
+    });
+    res.status(201).json(returnRequest);
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns:
+ *   get:
+ *     tags:
+ *       - Returns
+ *     summary: List return requests, newest first
+ *     description: Customers only get their own return requests.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, received, rejected]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Invalid order ID
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+returnRoute.get("/", authMiddleware, roleMiddleware([...STAFF_ROLES, "customer"]), async (req, res) => {
+  try {
+    const { status, order } = req.query;
+    const filter = returnScope(req.user);
+    if (status) filter.status = status;
+    if (order) {
+      if (!mongoose.Types.ObjectId.isValid(order)) {
+        return res.status(400).json({ message: "Invalid order ID" });
+      }
+      filter.order = order;
+    }
+
+    const returns = await db.ReturnRequest.find(filter)
+      .populate("account", "username email")
+      .populate("refund", "amount status")
+      .sort({ createdAt: -1 });
+    res.status(200).json(returns);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     tags:
+ *       - Returns
+ *     summary: Get a return request with its status history and refund
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The return request ID
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Return request not found
+ *       500:
+ *         description: Internal server error
+ */
+returnRoute.get("/:id", authMiddleware, roleMiddleware([...STAFF_ROLES, "customer"]), async (req, res) => {
+  try {
+    const returnRequest = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await db.ReturnRequest.findOne({ _id: req.params.id, ...returnScope(req.user) })
+          .populate("account", "username email")
+          .populate("refund")
+          .populate("statusHistory.changedBy", "username email role")
+      : null;
+    if (!returnRequest) {
+      return res.status(404).json({ message: "Return request not found" });
+    }
+    res.status(200).json(returnRequest);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns/{id}/photos/{index}:
+ *   get:
+ *     tags:
+ *       - Returns
+ *     summary: Get a photo of a return request, or its thumbnail with /thumbnail
+ *     description: Return photos are not public, only the customer who sent them and staff can load them.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The return request ID
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The position of the photo in the request, from 0
+ *     responses:
+ *       200:
+ *         description: The image
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Return request or photo not found
+ *       500:
+ *         description: Internal server error
+ */
+returnRoute.get(
+  "/:id/photos/:index/:size(thumbnail)?",
+  authMiddleware,
+  roleMiddleware([...STAFF_ROLES, "customer"]),
+  async (req, res) => {
+    try {
+      const returnRequest = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await db.ReturnRequest.findOne({ _id: req.params.id, ...returnScope(req.user) })
+        : null;
+      const photo = returnRequest?.photos[Number(req.params.index)];
+      if (!photo) {
+        return res.status(404).json({ message: "Photo not found" });
+      }
+
+      const key = req.params.size ? photo.thumbnailKey : photo.key;
+      const image = await getStorage(PHOTO_STORAGE).read(key);
+      res.type(path.extname(key)).send(image);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return res.status(404).json({ message: "Photo not found" });
+      }
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}/approve:
+ *   patch:
+ *     tags:
+ *       - Returns
+ *     summary: Approve a return request, the customer can send the goods back
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The return request ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return request approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: The return request is not waiting for approval
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Return request not found
+ *       409:
+ *         description: The return request was changed by another request
+ *       500:
+ *         description: Internal server error
+ */
+returnRoute.patch("/:id/approve", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    const returnRequest = await findReturn(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({ message: "Return request not found" });
+    }
+
+    const approved = await transitionReturn(returnRequest, "approved", {
+      changedBy: req.user._id,
+      note: req.body.note,
+    });
+    res.status(200).json(approved);
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns/{id}/reject:
+ *   patch:
+ *     tags:
+ *       - Returns
+ *     summary: Reject a return request
+ *     description: The units of the request can be returned again with a new request.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The return request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [note]
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Why the return is rejected, shown to the customer
+ *     responses:
+ *       200:
+ *         description: Return request rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Missing note, or the goods were already received
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Return request not found
+ *       409:
+ *         description: The return request was changed by another request
+ *       500:
+ *         description: Internal server error
+ */
+returnRoute.patch("/:id/reject", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    if (!req.body.note) {
+      return res.status(400).json({ message: "A note is required to reject a return." });
+    }
+    const returnRequest = await findReturn(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({ message: "Return request not found" });
+    }
+
+    const rejected = await rejectReturn(returnRequest, { actor: req.user._id, note: req.body.note });
+    res.status(200).json(rejected);
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/returns/{id}/receive:
+ *   patch:
+ *     tags:
+ *       - Returns
+ *     summary: Record the returned goods and refund them
+ *     description: >
+ *       Each line is either restocked, putting the units back in stock, or written off. The customer is refunded
+ *       what they paid for the units through VNPay. When VNPay refuses the refund it stays approved and can be
+ *       sent again with /api/refunds/{id}/retry. Once every delivered unit has come back the order becomes Returned.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The return request ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               disposition:
+ *                 type: string
+ *                 enum: [restock, write_off]
+ *                 description: For every line without its own disposition
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     item:
+ *                       type: string
+ *                       description: The ID of the order item
+ *                     disposition:
+ *                       type: string
+ *                       enum: [restock, write_off]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Goods received and refund sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 returnRequest:
+ *                   $ref: '#/components/schemas/ReturnRequest'
+ *                 refund:
+ *                   $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Missing or invalid disposition, or the return request is not approved
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Return request not found
+ *       409:
+ *         description: The return request was changed by another request
+ *       500:
+ *         description: Internal server error
+ */
+returnRoute.patch("/:id/receive", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    const returnRequest = await findReturn(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({ message: "Return request not found" });
+    }
+
+    const { disposition, lines = [], note } = req.body;
+    const dispositions = Object.fromEntries(returnRequest.lines.map((line) => [line.item.toString(), disposition]));
+    if (Array.isArray(lines)) {
+      lines.forEach((line) => {
+        dispositions[String(line.item)] = line.disposition;
+      });
+    }
+
+    const received = await receiveReturn(returnRequest, dispositions, { actor: req.user._id, note });
+    let { refund } = received;
+    let message = "Return received and refunded.";
+    try {
+      refund = await processRefund(refund, { actor: req.user._id, createBy: req.user.email });
+      if (refund.status === "completed") {
+        notifyRefund(refund);
+      } else {
+        message = `Return received, the refund failed: ${refund.gateway.message}`;
+      }
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      message = `Return received, the refund could not be sent: ${error.message}`;
+    }
+    res.status(200).json({ message, returnRequest: received.returnRequest, refund });
+  } catch (error) {
+    sendReturnError(res, error);
+  }
+});
+
+module.exports = returnRoute;
@@ -1,7 +1,21 @@
 const express = require("express");
 const Routine = require("../models/routine.model");
+const { findConflicts } = require("../utils/ingredientConflict");
 const router = express.Router();
 
+// Kiểm tra xung đột thành phần giữa sản phẩm của các bước và ghi kèm thứ tự bước của từng sản phẩm.
+const findRoutineConflicts = async (routine) => {
+  const steps = routine.steps.filter((step) => step.product);
+  const { conflicts } = await findConflicts(steps.map((step) => step.product));
+  return conflicts.map((conflict) => ({
+    ...conflict,
+    products: conflict.products.map((product) => ({
+      ...product,
+      steps: steps.filter((step) => step.product.toString() === product._id.toString()).map((step) => step.order),
+    })),
+  }));
+};
+
 /**
  * @swagger
  * tags:
@@ -71,9 +85,12 @@ router.get("/", async (req, res) => {
  *                       type: string
  *                       description: Mô tả chi tiết của bước
  *                       example: "Rửa mặt sạch sẽ"
+ *                     product:
+ *                       type: string
+ *                       description: ID của sản phẩm dùng ở bước này (không bắt buộc)
  *     responses:
  *       201:
- *         description: Routine được tạo thành công.
+ *         description: Routine được tạo thành công, kèm danh sách `conflicts` giữa sản phẩm của các bước.
  *         content:
  *           application/json:
  *             schema:
@@ -91,8 +108,12 @@ router.post("/", async (req, res) => {
     }
     const newRoutine = new Routine({ skin, routineName, steps });
     const savedRoutine = await newRoutine.save();
-    res.status(201).json(savedRoutine);
+    const conflicts = await findRoutineConflicts(savedRoutine);
+    res.status(201).json({ ...savedRoutine.toObject(), conflicts });
   } catch (error) {
+    if (error.name === "ValidationError" || error.name === "CastError") {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 });
@@ -135,9 +156,12 @@ router.post("/", async (req, res) => {
  *                       type: string
  *                       description: Mô tả chi tiết của bước
  *                       example: "Rửa mặt"
+ *                     product:
+ *                       type: string
+ *                       description: ID của sản phẩm dùng ở bước này (không bắt buộc)
  *     responses:
  *       200:
- *         description: Routine được cập nhật thành công.
+ *         description: Routine được cập nhật thành công, kèm danh sách `conflicts` giữa sản phẩm của các bước.
  *         content:
  *           application/json:
  *             schema:
@@ -158,7 +182,8 @@ router.put("/:id", async (req, res) => {
 
     const updatedRoutine = await Routine.findByIdAndUpdate(req.params.id, updatedData, { new: true });
     if (!updatedRoutine) return res.status(404).json({ message: "Routine không tồn tại" });
-    res.status(200).json(updatedRoutine);
+    const conflicts = await findRoutineConflicts(updatedRoutine);
+    res.status(200).json({ ...updatedRoutine.toObject(), conflicts });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -195,6 +220,44 @@ router.delete("/:id", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/routines/{id}/conflicts:
+ *   get:
+ *     summary: Kiểm tra xung đột thành phần giữa sản phẩm của các bước trong routine
+ *     tags: [Routine]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID của routine cần kiểm tra
+ *     responses:
+ *       200:
+ *         description: >
+ *           Danh sách xung đột, mức độ nghiêm trọng giảm dần. Mỗi sản phẩm trong xung đột có thêm `steps`
+ *           là thứ tự các bước dùng sản phẩm đó.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ConflictReport'
+ *       404:
+ *         description: Routine không tồn tại.
+ *       500:
+ *         description: Lỗi server.
+ */
+router.get("/:id/conflicts", async (req, res) => {
+  try {
+    const routine = await Routine.findById(req.params.id);
+    if (!routine) return res.status(404).json({ message: "Routine không tồn tại" });
+    const conflicts = await findRoutineConflicts(routine);
+    res.status(200).json({ conflicts, hasConflicts: conflicts.length > 0 });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/routines/skin/{skinId}:
@@ -0,0 +1,448 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const db = require("../models/index");
+const authMiddleware = require("../middleware/authMiddleware");
+const roleMiddleware = require("../middleware/roleMiddleware");
+const { findVariant, getUnitPrice } = require("../utils/productVariant");
+const { resolveShippingAddress } = require("../utils/address");
+const { hasCarrier, getCarrier } = require("../utils/carriers");
+const {
+  getShippingPolicy,
+  quoteShipping,
+  validateShippingPolicy,
+  createShipment,
+  applyCarrierUpdate,
+} = require("../utils/shipping");
+
+const shippingRoute = express.Router();
+
+const STAFF_ROLES = ["admin", "manager"];
+
+const sendShippingError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shipping
+ *   description: API for shipping fees, carrier shipments and tracking
+ */
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingRate:
+ *       type: object
+ *       properties:
+ *         baseFee:
+ *           type: number
+ *           description: The fee for the first baseWeight grams
+ *           example: 35000
+ *         baseWeight:
+ *           type: number
+ *           example: 500
+ *         stepWeight:
+ *           type: number
+ *           description: Every started stepWeight grams above baseWeight adds stepFee
+ *           example: 500
+ *         stepFee:
+ *           type: number
+ *           example: 5000
+ *         freeShippingThreshold:
+ *           type: number
+ *           description: Orders worth at least this much (after discount) ship free, 0 turns it off
+ *           example: 500000
+ *     ShippingPolicy:
+ *       type: object
+ *       properties:
+ *         zones:
+ *           type: array
+ *           description: Checked in order; provinces in no zone ship at the default rate
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     example: "Nội thành"
+ *                   provinces:
+ *                     type: array
+ *                     description: Province names or administrative codes
+ *                     items:
+ *                       type: string
+ *                     example: ["Hồ Chí Minh", "79"]
+ *               - $ref: '#/components/schemas/ShippingRate'
+ *         defaultRate:
+ *           $ref: '#/components/schemas/ShippingRate'
+ *         updatedBy:
+ *           type: string
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/shipping/policy:
+ *   get:
+ *     tags:
+ *       - Shipping
+ *     summary: Get the shipping rates
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingPolicy'
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+shippingRoute.get("/policy", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    res.status(200).json(await getShippingPolicy());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shipping/policy:
+ *   put:
+ *     tags:
+ *       - Shipping
+ *     summary: Update the shipping rates
+ *     description: Only the fields sent are changed, zones are replaced as a whole. Placed orders keep their fee.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingPolicy'
+ *     responses:
+ *       200:
+ *         description: Shipping rates updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShippingPolicy'
+ *       400:
+ *         description: Invalid rates, or a province in more than one zone
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       500:
+ *         description: Internal server error
+ */
+shippingRoute.put("/policy", authMiddleware, roleMiddleware(["admin"]), async (req, res) => {
+  try {
+    const update = validateShippingPolicy(req.body);
+    const policy = await db.ShippingPolicy.findOneAndUpdate(
+      {},
+      { ...update, updatedBy: req.user._id },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+    res.status(200).json(policy);
+  } catch (error) {
+    sendShippingError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/shipping/quote:
+ *   post:
+ *     tags:
+ *       - Shipping
+ *     summary: Price the shipping of items to one of your addresses
+ *     description: >
+ *       Free-shipping promotion codes are not taken into account here, they apply at checkout.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shippingAddress:
+ *                 type: string
+ *                 description: The ID of an address in your address book, the default address when omitted
+ *               items:
+ *                 type: array
+ *                 description: The items to ship. When omitted, the items in your cart are priced.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subtotal:
+ *                   type: number
+ *                 fee:
+ *                   type: number
+ *                 weight:
+ *                   type: number
+ *                   description: Grams
+ *                 zone:
+ *                   type: string
+ *                 freeShippingThreshold:
+ *                   type: number
+ *       400:
+ *         description: No items, invalid quantity or no shipping address
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Product, variant or shipping address not found
+ *       500:
+ *         description: Internal server error
+ */
+shippingRoute.post("/quote", authMiddleware, roleMiddleware(["customer"]), async (req, res) => {
+  try {
+    let items = req.body.items;
+    if (!items || items.length === 0) {
+      const cart = await db.Cart.findOne({ account: req.user._id });
+      items = cart?.items || [];
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ message: "There is nothing to ship." });
+    }
+
+    const address = await resolveShippingAddress(req.user._id, req.body.shippingAddress);
+    const lines = [];
+    for (const item of items) {
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return res.status(400).json({ message: "Quantity must be a positive integer." });
+      }
+      const product = mongoose.Types.ObjectId.isValid(item.product)
+        ? await db.Product.findOne({ _id: item.product, isDeleted: { $ne: true } })
+        : null;
+      if (!product) {
+        return res.status(404).json({ message: `Product with ID ${item.product} not found.` });
+      }
+      const variant = findVariant(product, item.variant);
+      if (item.variant && !variant) {
+        return res.status(404).json({ message: `Variant ${item.variant} of ${product.name} not found.` });
+      }
+      lines.push({ product, variant, quantity, price: getUnitPrice(product, variant) });
+    }
+
+    const subtotal = lines.reduce((sum, { price, quantity }) => sum + price * quantity, 0);
+    const quote = await quoteShipping(address, lines, { orderValue: subtotal });
+    res.status(200).json({ subtotal, ...quote });
+  } catch (error) {
+    sendShippingError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/shipping/orders/{orderId}/shipment:
+ *   post:
+ *     tags:
+ *       - Shipping
+ *     summary: Book the shipment of a packed order with a carrier
+ *     description: >
+ *       Stores the carrier tracking number on the order. The carrier then reports progress to
+ *       /api/shipping/webhooks/{carrier}, which moves the order to Shipping, Delivered or Returned.
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *                 description: The carrier adapter, SHIPPING_CARRIER (mock by default) when omitted
+ *                 example: "mock"
+ *     responses:
+ *       201:
+ *         description: Shipment booked, returns the order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Unknown carrier, or the order is not packed
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order already has a shipment or was changed by another request
+ *       500:
+ *         description: Internal server error
+ */
+shippingRoute.post("/orders/:orderId/shipment", authMiddleware, roleMiddleware(STAFF_ROLES), async (req, res) => {
+  try {
+    const { carrier } = req.body;
+    if (carrier !== undefined && !hasCarrier(carrier)) {
+      return res.status(400).json({ message: `Unknown carrier: ${carrier}` });
+    }
+    const order = mongoose.Types.ObjectId.isValid(req.params.orderId)
+      ? await db.Order.findById(req.params.orderId)
+      : null;
+    if (!order) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const updatedOrder = await createShipment(order, { carrier });
+    res.status(201).json(updatedOrder);
+  } catch (error) {
+    sendShippingError(res, error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/shipping/orders/{orderId}/tracking:
+ *   get:
+ *     tags:
+ *       - Shipping
+ *     summary: Track the shipment of an order
+ *     description: Customers can only track their own orders.
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The order ID
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orderStatus:
+ *                   type: string
+ *                 shippingAddress:
+ *                   type: object
+ *                 shipping:
+ *                   type: object
+ *       403:
+ *         description: Forbidden, user does not have permission
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Internal server error
+ */
+shippingRoute.get(
+  "/orders/:orderId/tracking",
+  authMiddleware,
+  roleMiddleware([...STAFF_ROLES, "customer"]),
+  async (req, res) => {
+    try {
+      const scope = STAFF_ROLES.includes(req.user.role) ? {} : { account: req.user._id };
+      const order = mongoose.Types.ObjectId.isValid(req.params.orderId)
+        ? await db.Order.findOne({ _id: req.params.orderId, ...scope })
+        : null;
+      if (!order) {
+        return res.status(404).json({ message: "Order not found" });
+      }
+      res.status(200).json({
+        orderStatus: order.status,
+        shippingAddress: order.shippingAddress,
+        shipping: order.shipping,
+      });
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/shipping/webhooks/{carrier}:
+ *   post:
+ *     tags:
+ *       - Shipping
+ *     summary: Receive a shipment status update from a carrier
+ *     description: >
+ *       Called by the carrier, which authenticates in its own way. The mock carrier sends the
+ *       MOCK_CARRIER_WEBHOOK_SECRET in the X-Carrier-Token header. Repeated updates are accepted and ignored.
+ *       A failed or returned shipment of a shipping order returns the order, puts its goods back in stock and
+ *       creates an approved refund of what the customer paid.
+ *     parameters:
+ *       - in: path
+ *         name: carrier
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "mock"
+ *       - in: header
+ *         name: X-Carrier-Token
+ *         schema:
+ *           type: string
+ *         description: The webhook secret of the mock carrier
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: The body of the mock carrier, other carriers send their own format
+ *             properties:
+ *               trackingNumber:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [ready_to_pick, picked_up, in_transit, delivered, failed, returned, canceled]
+ *               note:
+ *                 type: string
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Update applied
+ *       400:
+ *         description: Missing tracking number or unknown status
+ *       401:
+ *         description: The request was not sent by the carrier
+ *       404:
+ *         description: Unknown carrier or shipment
+ *       500:
+ *         description: Internal server error
+ */
+shippingRoute.post("/webhooks/:carrier", async (req, res) => {
+  try {
+    if (!hasCarrier(req.params.carrier)) {
+      return res.status(404).json({ message: "Unknown carrier" });
+    }
+    const update = getCarrier(req.params.carrier).parseWebhook(req);
+    const order = await applyCarrierUpdate(req.params.carrier, update);
+    res
+      .status(200)
+      .json({ message: "Update applied", orderStatus: order.status, shippingStatus: order.shipping.status });
+  } catch (error) {
+    sendShippingError(res, error);
+  }
+});
+
+module.exports = shippingRoute;
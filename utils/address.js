@@ -0,0 +1,98 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+
+const MAX_ADDRESSES = Number(process.env.MAX_ADDRESSES_PER_ACCOUNT) || 10;
+const REQUIRED_FIELDS = ["recipientName", "phone", "street", "ward", "district", "province"];
+const OPTIONAL_FIELDS = ["label", "wardCode", "districtCode", "provinceCode"];
+const VIETNAMESE_PHONE = /^(0|\+84)\d{9}$/;
+
+// The fields an order keeps of the address it ships to.
+const SNAPSHOT_FIELDS = [
+  "recipientName",
+  "phone",
+  "street",
+  "ward",
+  "wardCode",
+  "district",
+  "districtCode",
+  "province",
+  "provinceCode",
+];
+
+/**
+ * Checks an address book entry and returns the fields to save, trimmed. A new address needs every required
+ * field; an update (`partial`) only checks the fields sent.
+ */
+const validateAddress = (input, { partial = false } = {}) => {
+  const address = {};
+  for (const field of [...REQUIRED_FIELDS, ...OPTIONAL_FIELDS]) {
+    if (input[field] === undefined) {
+      continue;
+    }
+    if (typeof input[field] !== "string") {
+      throw createError(400, `${field} must be a string.`);
+    }
+    address[field] = input[field].trim();
+  }
+
+  const missing = REQUIRED_FIELDS.filter((field) => (partial ? address[field] === "" : !address[field]));
+  if (missing.length > 0) {
+    throw createError(400, `${missing.join(", ")} ${missing.length > 1 ? "are" : "is"} required.`);
+  }
+  if (address.phone !== undefined) {
+    address.phone = address.phone.replace(/[\s.-]/g, "");
+    if (!VIETNAMESE_PHONE.test(address.phone)) {
+      throw createError(400, "Phone must be a Vietnamese phone number, e.g. 0912345678.");
+    }
+  }
+  return address;
+};
+
+// Makes `addressId` the only default address of `account`.
+const setDefaultAddress = async (account, addressId) => {
+  await db.Address.updateMany({ account, _id: { $ne: addressId }, isDefault: true }, { $set: { isDefault: false } });
+  return db.Address.findOneAndUpdate({ _id: addressId, account }, { $set: { isDefault: true } }, { new: true });
+};
+
+// After the default address is deleted, the most recently added one takes its place.
+const promoteDefaultAddress = async (account) => {
+  const next = await db.Address.findOne({ account }).sort({ createdAt: -1 });
+  return next ? setDefaultAddress(account, next._id) : null;
+};
+
+const formatAddress = (address) =>
+  address ? [address.street, address.ward, address.district, address.province].filter(Boolean).join(", ") : "";
+
+/**
+ * Picks the shipping address of a checkout: the address book entry `addressId` of `account`, or its default
+ * address when none is given. Resolves to the snapshot stored on the order.
+ */
+const resolveShippingAddress = async (account, addressId) => {
+  let address;
+  if (addressId) {
+    address = await db.Address.findOne({ _id: addressId, account }).catch(() => null);
+    if (!address) {
+      throw createError(404, "Shipping address not found");
+    }
+  } else {
+    address = await db.Address.findOne({ account, isDefault: true });
+    if (!address) {
+      throw createError(400, "Please add a shipping address before checking out.");
+    }
+  }
+
+  const snapshot = { address: address._id };
+  for (const field of SNAPSHOT_FIELDS) {
+    snapshot[field] = address[field];
+  }
+  return snapshot;
+};
+
+module.exports = {
+  MAX_ADDRESSES,
+  validateAddress,
+  setDefaultAddress,
+  promoteDefaultAddress,
+  formatAddress,
+  resolveShippingAddress,
+};
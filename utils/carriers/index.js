@@ -0,0 +1,29 @@
+const createMockCarrier = require("./mockCarrier");
+
+/**
+ * Carrier adapters expose:
+ *   createShipment(order) -> { trackingNumber, fee, expectedDeliveryAt }
+ *   cancelShipment(trackingNumber)
+ *   parseWebhook(req) -> { trackingNumber, status, note, occurredAt }
+ * where `status` is one of SHIPMENT_STATUSES and parseWebhook throws 401 for requests the carrier did not send.
+ * Add another driver here (e.g. GHN or GHTK) and select it with SHIPPING_CARRIER.
+ */
+const drivers = {
+  mock: createMockCarrier,
+};
+
+const carriers = {};
+
+const getCarrier = (name = process.env.SHIPPING_CARRIER || "mock") => {
+  if (!drivers[name]) {
+    throw new Error(`Unknown shipping carrier: ${name}`);
+  }
+  if (!carriers[name]) {
+    carriers[name] = drivers[name]();
+  }
+  return carriers[name];
+};
+
+const hasCarrier = (name) => Boolean(drivers[name]);
+
+module.exports = { getCarrier, hasCarrier };
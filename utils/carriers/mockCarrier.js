@@ -0,0 +1,35 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+
+const DELIVERY_DAYS = 3;
+
+// A carrier that ships nothing, for development and tests. Status updates are posted to the webhook by hand
+// with the MOCK_CARRIER_WEBHOOK_SECRET in the X-Carrier-Token header and a body of
+// `{ trackingNumber, status, note, occurredAt }`.
+const createMockCarrier = ({ secret = process.env.MOCK_CARRIER_WEBHOOK_SECRET } = {}) => ({
+  name: "mock",
+
+  async createShipment(order) {
+    return {
+      trackingNumber: `MOCK${crypto.randomBytes(5).toString("hex").toUpperCase()}`,
+      fee: order.pricing?.shippingFee || 0,
+      expectedDeliveryAt: new Date(Date.now() + DELIVERY_DAYS * 24 * 60 * 60 * 1000),
+    };
+  },
+
+  async cancelShipment() {},
+
+  parseWebhook(req) {
+    const token = Buffer.from(String(req.get("x-carrier-token") || ""));
+    const expected = Buffer.from(secret || "");
+    const valid = Boolean(secret) && token.length === expected.length && crypto.timingSafeEqual(token, expected);
+    if (!valid) {
+      throw createError(401, "Invalid carrier token");
+    }
+
+    const { trackingNumber, status, note, occurredAt } = req.body;
+    return { trackingNumber, status, note, occurredAt: occurredAt ? new Date(occurredAt) : new Date() };
+  },
+});
+
+module.exports = createMockCarrier;
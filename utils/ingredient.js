@@ -0,0 +1,52 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+
+const ALLERGENS = db.Ingredient.schema.path("allergens").caster.enumValues;
+
+// Turns `fragrance,alcohol` into the ids of every ingredient carrying one of those flags.
+const resolveFreeFrom = async (value) => {
+  const flags = (Array.isArray(value) ? value : String(value).split(",")).map((flag) => flag.trim()).filter(Boolean);
+  const unknown = flags.find((flag) => !ALLERGENS.includes(flag));
+  if (unknown) {
+    throw createError(400, `freeFrom must be a list of ${ALLERGENS.join(", ")}.`);
+  }
+  const ingredients = await db.Ingredient.find({ allergens: { $in: flags } }).select("_id");
+  return ingredients.map((ingredient) => ingredient._id);
+};
+
+// Returns an error message when `ids` repeats an ingredient or references one that does not exist.
+const checkIngredientIds = async (ids) => {
+  const unique = new Set(ids.map((id) => String(id)));
+  if (unique.size !== ids.length) {
+    return "An ingredient is listed more than once.";
+  }
+  const found = await db.Ingredient.countDocuments({ _id: { $in: [...unique] } });
+  return found === unique.size ? null : "Ingredient not found.";
+};
+
+/**
+ * Builds the ingredient breakdown of a product whose `ingredients` are populated: each ingredient with
+ * its position in the INCI list, the allergen flags found in the product and the ones it is free from.
+ */
+const buildIngredientBreakdown = (product) => {
+  const ingredients = product.ingredients
+    .filter((ingredient) => ingredient && ingredient._id)
+    .map((ingredient, index) => ({
+      position: index + 1,
+      _id: ingredient._id,
+      inciName: ingredient.inciName,
+      commonName: ingredient.commonName,
+      functions: ingredient.functions,
+      allergens: ingredient.allergens,
+    }));
+  const allergens = ALLERGENS.filter((flag) => ingredients.some((ingredient) => ingredient.allergens.includes(flag)));
+
+  return {
+    product: { _id: product._id, name: product.name },
+    ingredients,
+    allergens,
+    freeFrom: ingredients.length > 0 ? ALLERGENS.filter((flag) => !allergens.includes(flag)) : [],
+  };
+};
+
+module.exports = { ALLERGENS, resolveFreeFrom, checkIngredientIds, buildIngredientBreakdown };
@@ -0,0 +1,72 @@
+const db = require("../models/index");
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+const matchingIngredients = (product, ruleIngredients) => {
+  const ids = new Set(ruleIngredients.map((id) => id.toString()));
+  return product.ingredients.filter((ingredient) => ids.has(ingredient._id.toString()));
+};
+
+const describeMatch = (product, ingredients) => ({
+  _id: product._id,
+  name: product.name,
+  ingredients: ingredients.map((ingredient) => ingredient.inciName),
+});
+
+/**
+ * Checks every pair of the given products against the active conflict rules.
+ *
+ * Ingredients combined within one product are the formulator's choice, so only combinations across
+ * two different products are reported. Returns the products that were found and the conflicts,
+ * most severe first.
+ */
+const findConflicts = async (productIds) => {
+  const uniqueIds = [...new Set(productIds.map((id) => String(id)))];
+  const [products, rules] = await Promise.all([
+    db.Product.find({ _id: { $in: uniqueIds }, isDeleted: { $ne: true } })
+      .select("name ingredients")
+      .populate("ingredients", "inciName"),
+    db.ConflictRule.find({ status: true }),
+  ]);
+
+  const conflicts = [];
+  rules.forEach((rule) => {
+    products.forEach((first, i) => {
+      products.slice(i + 1).forEach((second) => {
+        [
+          [first, second],
+          [second, first],
+        ].forEach(([productA, productB]) => {
+          const matchA = matchingIngredients(productA, rule.ingredientsA);
+          const matchB = matchingIngredients(productB, rule.ingredientsB);
+          if (matchA.length === 0 || matchB.length === 0) {
+            return;
+          }
+          conflicts.push({
+            rule: { _id: rule._id, name: rule.name },
+            severity: rule.severity,
+            explanation: rule.explanation,
+            recommendation: rule.recommendation,
+            products: [describeMatch(productA, matchA), describeMatch(productB, matchB)],
+          });
+        });
+      });
+    });
+  });
+
+  // A rule whose two sides share ingredients matches a pair in both directions; report it once.
+  const seen = new Set();
+  const unique = conflicts.filter((conflict) => {
+    const key = [conflict.rule._id, ...conflict.products.map((product) => product._id).sort()].join(":");
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+
+  unique.sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+  return { products, conflicts: unique };
+};
+
+module.exports = { findConflicts };
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const handlebars = require("handlebars");
+const nodemailer = require("nodemailer");
+const db = require("../models/index");
+const { findVariant, describeVariant } = require("./productVariant");
+
+const DEFAULT_LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+const getLowStockThreshold = (product) => product.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+
+// Movements that do not change the stock are not worth a ledger entry.
+const recordMovements = async (movements) => {
+  const changes = movements.filter((movement) => movement.quantity);
+  if (changes.length === 0) {
+    return [];
+  }
+  return db.InventoryMovement.insertMany(changes);
+};
+
+/**
+ * Atomically changes the stock of a product, or of one of its variants together with the product total,
+ * by `quantity`. A decrement only applies while enough stock is left, and `expected` makes the change
+ * conditional on the current stock. Resolves to the movement fields, or null when nothing matched.
+ */
+const applyStockChange = async ({ product, variant, quantity }, { expected } = {}) => {
+  const filter = { _id: product };
+  const increment = { quantity };
+  const condition = {};
+  if (quantity < 0) condition.$gte = -quantity;
+  if (expected !== undefined) condition.$eq = expected;
+
+  if (variant) {
+    filter.variants = { $elemMatch: { _id: variant } };
+    if (Object.keys(condition).length > 0) filter.variants.$elemMatch.quantity = condition;
+    increment["variants.$.quantity"] = quantity;
+  } else {
+    filter["variants.0"] = { $exists: false };
+    if (Object.keys(condition).length > 0) filter.quantity = condition;
+  }
+
+  const updated = await db.Product.findOneAndUpdate(filter, { $inc: increment }, { new: true });
+  if (!updated) {
+    return null;
+  }
+  const updatedVariant = findVariant(updated, variant);
+  return {
+    product: updated._id,
+    variant: updatedVariant?._id,
+    quantity,
+    balance: updatedVariant ? updatedVariant.quantity : updated.quantity,
+  };
+};
+
+const toLowStockLine = (product, variant) => ({
+  product: product._id,
+  name: product.name,
+  sku: product.sku,
+  variant: variant?._id,
+  variantSku: variant?.sku,
+  variantName: describeVariant(variant),
+  quantity: variant ? variant.quantity : product.quantity,
+  threshold: getLowStockThreshold(product),
+});
+
+// Products without variants are checked as a whole, products with variants per active variant.
+const findLowStock = async () => {
+  const products = await db.Product.aggregate([
+    { $match: { isDeleted: { $ne: true } } },
+    { $addFields: { threshold: { $ifNull: ["$lowStockThreshold", DEFAULT_LOW_STOCK_THRESHOLD] } } },
+    {
+      $match: {
+        $expr: {
+          $or: [
+            { $and: [{ $eq: [{ $size: "$variants" }, 0] }, { $lte: ["$quantity", "$threshold"] }] },
+            {
+              $anyElementTrue: {
+                $map: {
+                  input: "$variants",
+                  in: { $and: ["$$this.isActive", { $lte: ["$$this.quantity", "$threshold"] }] },
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+    { $project: { name: 1, sku: 1, quantity: 1, lowStockThreshold: 1, variants: 1 } },
+    { $sort: { quantity: 1 } },
+  ]);
+
+  return products.flatMap((product) => {
+    if (product.variants.length === 0) {
+      return [toLowStockLine(product)];
+    }
+    return product.variants
+      .filter((variant) => variant.isActive && variant.quantity <= getLowStockThreshold(product))
+      .map((variant) => toLowStockLine(product, variant));
+  });
+};
+
+// LOW_STOCK_ALERT_EMAILS overrides the recipients, otherwise every active manager is notified.
+const getAlertRecipients = async () => {
+  if (process.env.LOW_STOCK_ALERT_EMAILS) {
+    return process.env.LOW_STOCK_ALERT_EMAILS.split(",").map((email) => email.trim());
+  }
+  const managers = await db.Account.find({ role: "manager", status: true }).select("email");
+  return managers.map((manager) => manager.email);
+};
+
+const sendLowStockEmail = async (lines) => {
+  const recipients = await getAlertRecipients();
+  if (lines.length === 0 || recipients.length === 0) {
+    return recipients;
+  }
+
+  const emailTemplatePath = path.join(__dirname, "../templates/lowStockTemplate.html");
+  const emailTemplate = handlebars.compile(fs.readFileSync(emailTemplatePath, "utf8"));
+  const emailHtml = emailTemplate({ items: lines });
+
+  const transporter = nodemailer.createTransport({
+    service: "gmail",
+    auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
+  });
+
+  await transporter.sendMail({
+    from: process.env.EMAIL_USER,
+    to: recipients.join(","),
+    subject: `Cảnh báo tồn kho thấp: ${lines.length} sản phẩm`,
+    html: emailHtml,
+  });
+  return recipients;
+};
+
+// Alerts about the lines of `movements` that just dropped to or below their threshold. `products`
+// are the documents after the change, latest last. Never throws, a failed alert must not fail the sale.
+const notifyLowStock = (movements, products) => {
+  const lines = movements
+    .filter((movement) => movement.quantity < 0)
+    .map((movement) => {
+      const product = products.findLast((item) => item._id.toString() === movement.product.toString());
+      const threshold = getLowStockThreshold(product);
+      const before = movement.balance - movement.quantity;
+      if (before <= threshold || movement.balance > threshold) {
+        return null;
+      }
+      return toLowStockLine(product, findVariant(product, movement.variant));
+    })
+    .filter(Boolean);
+
+  if (lines.length > 0) {
+    sendLowStockEmail(lines).catch((error) => console.error("Error sending low stock email:", error));
+  }
+};
+
+module.exports = {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  getLowStockThreshold,
+  recordMovements,
+  applyStockChange,
+  findLowStock,
+  sendLowStockEmail,
+  notifyLowStock,
+};
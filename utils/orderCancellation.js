@@ -0,0 +1,101 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { transitionOrder } = require("./orderStatus");
+const { releaseStock } = require("./stockReservation");
+const { splitBatches } = require("./stockBatch");
+const { quoteRefund } = require("./refundPolicy");
+const { cancelShipment } = require("./shipping");
+
+// Orders a customer can still cancel lines of; once shipped, goods come back through a return instead.
+const CANCELLABLE_STATUSES = ["Paid", "Confirmed", "Packing"];
+
+const remainingQuantity = (item) => item.quantity - (item.canceledQuantity || 0);
+
+/**
+ * Checks the lines a customer asks to cancel, `[{ item, quantity }]` with order item IDs, against what is
+ * left of the order. A line without quantity cancels all of it, no lines at all cancel the whole order.
+ * Returns `[{ item, quantity }]` with the order items.
+ */
+const resolveCancelLines = (order, requested) => {
+  if (requested === undefined) {
+    const lines = order.items
+      .filter((item) => remainingQuantity(item) > 0)
+      .map((item) => ({ item, quantity: remainingQuantity(item) }));
+    if (lines.length === 0) {
+      throw createError(400, "Nothing is left to cancel in this order.");
+    }
+    return lines;
+  }
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw createError(400, "Items must be a non-empty array.");
+  }
+
+  const seen = new Set();
+  return requested.map((line) => {
+    const item = order.items.find((candidate) => candidate._id.toString() === String(line.item));
+    if (!item) {
+      throw createError(404, `Order item ${line.item} not found.`);
+    }
+    if (seen.has(String(line.item))) {
+      throw createError(400, `Order item ${line.item} appears more than once.`);
+    }
+    seen.add(String(line.item));
+
+    const remaining = remainingQuantity(item);
+    const quantity = line.quantity === undefined ? remaining : Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+      throw createError(400, `Quantity for order item ${line.item} must be between 1 and ${remaining}.`);
+    }
+    return { item, quantity };
+  });
+};
+
+/**
+ * Cancels `lines` of a paid order: the canceled units go back to stock (batches last allocated first),
+ * a refund record is created under the refund policy and, when nothing is left, the order is canceled
+ * along with its carrier shipment.
+ * The update only matches while the order and its lines are as they were read, so two cancellations
+ * cannot give back the same units. Resolves to `{ order, refund }`.
+ */
+const cancelOrderLines = async (order, lines, { actor, reason }) => {
+  const quote = await quoteRefund(order, lines);
+
+  const filter = { _id: order._id, status: order.status, $and: [] };
+  const update = { $inc: {}, $set: {} };
+  const arrayFilters = [];
+  const releases = [];
+  lines.forEach(({ item, quantity }, index) => {
+    const { released, kept } = splitBatches(item.batches, quantity);
+    filter.$and.push({
+      items: { $elemMatch: { _id: item._id, canceledQuantity: item.canceledQuantity || { $in: [0, null] } } },
+    });
+    update.$inc[`items.$[line${index}].canceledQuantity`] = quantity;
+    update.$set[`items.$[line${index}].batches`] = kept;
+    arrayFilters.push({ [`line${index}._id`]: item._id });
+    releases.push({ product: item.product._id || item.product, variant: item.variant, quantity, batches: released });
+  });
+
+  let updatedOrder = await db.Order.findOneAndUpdate(filter, update, { arrayFilters, new: true });
+  if (!updatedOrder) {
+    throw createError(409, "Order was changed by another request.");
+  }
+  await releaseStock(releases, { order: order._id, actor, reason });
+
+  const refund = await db.Refund.create({
+    order: order._id,
+    account: order.account._id || order.account,
+    lines: quote.lines,
+    shippingFee: quote.shippingFee,
+    amount: quote.amount,
+    reason,
+    createBy: actor,
+  });
+
+  if (updatedOrder.items.every((item) => remainingQuantity(item) === 0)) {
+    updatedOrder = await transitionOrder(order._id, "Canceled", { from: order.status, changedBy: actor, note: reason });
+    updatedOrder = await cancelShipment(updatedOrder);
+  }
+  return { order: updatedOrder, refund };
+};
+
+module.exports = { CANCELLABLE_STATUSES, remainingQuantity, resolveCancelLines, cancelOrderLines };
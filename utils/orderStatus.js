@@ -0,0 +1,58 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+
+const ORDER_TRANSITIONS = {
+  Pending: ["Paid", "Failed", "Canceled"],
+  Paid: ["Confirmed", "Canceled"],
+  Failed: [],
+  Confirmed: ["Packing", "Canceled"],
+  Packing: ["Shipping", "Canceled"],
+  Shipping: ["Delivered", "Returned"],
+  Delivered: ["Returned"],
+  Returned: ["Refunded"],
+  Canceled: ["Refunded"],
+  Refunded: [],
+};
+
+// Orders in these statuses have been paid for and count towards revenue.
+const PAID_STATUSES = ["Paid", "Confirmed", "Packing", "Shipping", "Delivered"];
+
+const canTransition = (from, to) => (ORDER_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Moves an order to `status` and appends an entry to its status history.
+ * The update only matches while the order is still in the status it was read in, so a concurrent
+ * change makes this call fail with 409 instead of silently overwriting it. Pass `from` when the
+ * caller decided on the move based on an earlier read of the status.
+ */
+const transitionOrder = async (orderId, status, { from, changedBy, note, update = {} } = {}) => {
+  const order = await db.Order.findById(orderId);
+  if (!order) {
+    throw createError(404, "Order not found");
+  }
+
+  if (from && order.status !== from) {
+    throw createError(409, "Order status was changed by another request.");
+  }
+
+  if (!canTransition(order.status, status)) {
+    throw createError(400, `Cannot change order status from ${order.status} to ${status}.`);
+  }
+
+  const updatedOrder = await db.Order.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      $set: { ...update, status },
+      $push: { statusHistory: { from: order.status, status, changedBy, note, changedAt: new Date() } },
+    },
+    { new: true }
+  );
+
+  if (!updatedOrder) {
+    throw createError(409, "Order status was changed by another request.");
+  }
+
+  return updatedOrder;
+};
+
+module.exports = { ORDER_TRANSITIONS, PAID_STATUSES, canTransition, transitionOrder };
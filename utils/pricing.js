@@ -0,0 +1,211 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { findVariant, getBasePrice, isPriceChangeFor } = require("./productVariant");
+
+const PRICE_CHANGE_TYPES = ["scheduled", "sale"];
+const SWEEP_INTERVAL_MS = Number(process.env.PRICE_SCHEDULE_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// Base price per variant id ("" for the product itself) to record what an update changed in the price history.
+const priceLevels = (product) =>
+  product.variants.length > 0
+    ? new Map(product.variants.map((variant) => [variant._id.toString(), variant.price]))
+    : new Map([["", product.price]]);
+
+// History entries for the base prices that differ from `before`; pass an empty map for a new product.
+const priceHistoryEntries = (product, before, actor, note) =>
+  [...priceLevels(product)]
+    .filter(([key, price]) => price !== undefined && price !== before.get(key))
+    .map(([key, price]) => ({
+      product: product._id,
+      variant: key || undefined,
+      type: "price",
+      price,
+      previousPrice: before.get(key),
+      actor,
+      note,
+    }));
+
+const recordPriceHistory = async (entries) => (entries.length > 0 ? db.PriceHistory.insertMany(entries) : []);
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === "" || isNaN(date)) {
+    throw createError(400, `${label} must be a valid date.`);
+  }
+  return date;
+};
+
+/**
+ * Validates and adds a scheduled price or a sale to `product` and saves it. Products with variants are
+ * priced per variant, so their changes need one. Sales of the same product or variant must not overlap.
+ * A sale goes into the price history right away, a scheduled price once it takes effect.
+ */
+const addPriceChange = async (product, input, actor) => {
+  const { type, variant: variantId, note } = input;
+  if (!PRICE_CHANGE_TYPES.includes(type)) {
+    throw createError(400, `Type must be one of ${PRICE_CHANGE_TYPES.join(", ")}.`);
+  }
+  const price = Number(input.price);
+  if (input.price === undefined || input.price === "" || !Number.isFinite(price) || price < 0) {
+    throw createError(400, "Price must be a non-negative number.");
+  }
+
+  const variant = findVariant(product, variantId);
+  if (variantId && !variant) {
+    throw createError(404, "Variant not found");
+  }
+  if (!variant && product.variants.length > 0) {
+    throw createError(400, "Products with variants are priced per variant, a variant is required.");
+  }
+
+  const now = new Date();
+  const startsAt = type === "sale" && input.startsAt === undefined ? now : parseDate(input.startsAt, "Start date");
+  let endsAt;
+  if (type === "scheduled" && startsAt <= now) {
+    throw createError(400, "A scheduled price must start in the future, change the price directly instead.");
+  }
+  if (type === "sale") {
+    endsAt = parseDate(input.endsAt, "End date");
+    if (endsAt <= startsAt || endsAt <= now) {
+      throw createError(400, "A sale must end in the future and after it starts.");
+    }
+    if (price >= getBasePrice(product, variant)) {
+      throw createError(400, "A sale price must be lower than the current price.");
+    }
+    const overlapping = product.priceChanges.some(
+      (change) =>
+        change.type === "sale" &&
+        isPriceChangeFor(change, variant) &&
+        change.startsAt < endsAt &&
+        change.endsAt > startsAt
+    );
+    if (overlapping) {
+      throw createError(409, "Another sale of this product already runs in that period.");
+    }
+  }
+
+  product.priceChanges.push({ variant: variant?._id, type, price, startsAt, endsAt, note, createBy: actor });
+  await product.save();
+  const change = product.priceChanges[product.priceChanges.length - 1];
+
+  if (type === "sale") {
+    await recordPriceHistory([
+      {
+        product: product._id,
+        variant: variant?._id,
+        type: "sale",
+        price,
+        previousPrice: getBasePrice(product, variant),
+        startsAt,
+        endsAt,
+        priceChange: change._id,
+        actor,
+        note,
+      },
+    ]);
+  }
+  return change;
+};
+
+// Removes a pending scheduled price or sale. A sale that already started ends now in the price history.
+const cancelPriceChange = async (product, changeId) => {
+  const change = product.priceChanges.id(changeId);
+  if (!change) {
+    throw createError(404, "Price change not found");
+  }
+  change.deleteOne();
+  await product.save();
+
+  if (change.type === "sale") {
+    const now = new Date();
+    if (change.startsAt <= now) {
+      await db.PriceHistory.updateOne({ priceChange: change._id }, { $set: { endsAt: now } });
+    } else {
+      await db.PriceHistory.deleteOne({ priceChange: change._id });
+    }
+  }
+  return change;
+};
+
+/**
+ * Makes scheduled prices that have taken effect the new base price, recording them in the price history,
+ * and drops sales that have ended. Each change is applied and removed in one update so a change is never
+ * applied twice. Resolves to the number of prices changed.
+ */
+const applyDuePriceChanges = async (now = new Date()) => {
+  const products = await db.Product.find({
+    priceChanges: { $elemMatch: { type: "scheduled", startsAt: { $lte: now } } },
+  });
+  let applied = 0;
+
+  for (const product of products) {
+    const due = product.priceChanges
+      .filter((change) => change.type === "scheduled" && change.startsAt <= now)
+      .sort((a, b) => a.startsAt - b.startsAt);
+
+    for (const change of due) {
+      const update = { $pull: { priceChanges: { _id: change._id } } };
+      const options = {};
+      if (change.variant) {
+        update.$set = { "variants.$[target].price": change.price };
+        options.arrayFilters = [{ "target._id": change.variant }];
+      } else {
+        update.$set = { price: change.price };
+      }
+
+      const previous = await db.Product.findOneAndUpdate(
+        { _id: product._id, "priceChanges._id": change._id },
+        update,
+        options
+      );
+      if (!previous) {
+        continue;
+      }
+      await recordPriceHistory([
+        {
+          product: product._id,
+          variant: change.variant,
+          type: "price",
+          price: change.price,
+          previousPrice: getBasePrice(previous, findVariant(previous, change.variant)),
+          startsAt: change.startsAt,
+          priceChange: change._id,
+          actor: change.createBy,
+          note: change.note,
+        },
+      ]);
+      applied += 1;
+    }
+  }
+
+  await db.Product.updateMany(
+    { priceChanges: { $elemMatch: { type: "sale", endsAt: { $lte: now } } } },
+    { $pull: { priceChanges: { type: "sale", endsAt: { $lte: now } } } }
+  );
+  return applied;
+};
+
+const startPriceScheduleSweeper = () => {
+  const timer = setInterval(() => {
+    applyDuePriceChanges()
+      .then((applied) => {
+        if (applied > 0) {
+          console.log(`Applied ${applied} scheduled price change(s)`);
+        }
+      })
+      .catch((error) => console.error("Error applying scheduled prices:", error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  PRICE_CHANGE_TYPES,
+  priceLevels,
+  priceHistoryEntries,
+  recordPriceHistory,
+  addPriceChange,
+  cancelPriceChange,
+  applyDuePriceChanges,
+  startPriceScheduleSweeper,
+};
@@ -0,0 +1,396 @@
+const createError = require("http-errors");
+const { parse } = require("csv-parse/sync");
+const { stringify } = require("csv-stringify/sync");
+const db = require("../models/index");
+const { recordMovements } = require("./inventory");
+const { takeFromBatches } = require("./stockBatch");
+const { priceLevels, priceHistoryEntries, recordPriceHistory } = require("./pricing");
+
+// One CSV row per product, or per variant for products with variants. Rows sharing a `sku` are merged
+// into one product, so the product columns only need to be filled in on its first row.
+const CSV_COLUMNS = [
+  "sku",
+  "name",
+  "description",
+  "price",
+  "quantity",
+  "image",
+  "brand",
+  "category",
+  "suitableSkin",
+  "ingredients",
+  "lowStockThreshold",
+  "weight",
+  "variantSku",
+  "variantSize",
+  "variantVolume",
+  "variantShade",
+  "variantPrice",
+  "variantQuantity",
+  "variantImage",
+  "variantWeight",
+];
+const PRODUCT_FIELDS = ["name", "description", "price", "quantity", "image", "lowStockThreshold", "weight"];
+const REFERENCE_FIELDS = [
+  ["brand", "brands", "Brand"],
+  ["category", "categories", "Category"],
+  ["suitableSkin", "skins", "Skin"],
+];
+const INGREDIENT_SEPARATOR = ";";
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+const valueOrUndefined = (value) => (isBlank(value) ? undefined : value);
+
+const csvRowToVariant = (row) => {
+  if (isBlank(row.variantSku)) {
+    return null;
+  }
+  return {
+    sku: row.variantSku,
+    attributes: {
+      size: valueOrUndefined(row.variantSize),
+      volume: valueOrUndefined(row.variantVolume),
+      shade: valueOrUndefined(row.variantShade),
+    },
+    price: valueOrUndefined(row.variantPrice),
+    quantity: valueOrUndefined(row.variantQuantity),
+    image: valueOrUndefined(row.variantImage),
+    weight: valueOrUndefined(row.variantWeight),
+  };
+};
+
+const parseCsv = (content) => {
+  let rows;
+  try {
+    rows = parse(content, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+  } catch (error) {
+    throw createError(400, `Invalid CSV: ${error.message}`);
+  }
+
+  const records = [];
+  const bySku = new Map();
+  rows.forEach((row, index) => {
+    // +2: the header is line 1 and rows are reported by their line in the file.
+    const rowNumber = index + 2;
+    const variant = csvRowToVariant(row);
+    const existing = !isBlank(row.sku) && bySku.get(row.sku);
+    if (existing) {
+      if (variant) existing.variants.push(variant);
+      return;
+    }
+
+    const record = { row: rowNumber, sku: valueOrUndefined(row.sku), variants: variant ? [variant] : [] };
+    [...PRODUCT_FIELDS, "brand", "category", "suitableSkin"].forEach((field) => {
+      record[field] = valueOrUndefined(row[field]);
+    });
+    if (!isBlank(row.ingredients)) {
+      record.ingredients = row.ingredients
+        .split(INGREDIENT_SEPARATOR)
+        .map((name) => name.trim())
+        .filter(Boolean);
+    }
+    if (record.sku) bySku.set(record.sku, record);
+    records.push(record);
+  });
+  return records;
+};
+
+const parseJson = (content) => {
+  let products;
+  try {
+    products = typeof content === "string" ? JSON.parse(content) : content;
+  } catch (error) {
+    throw createError(400, `Invalid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(products)) {
+    throw createError(400, "JSON imports must be an array of products.");
+  }
+  return products.map((product, index) => ({ ...product, row: index + 1, variants: product.variants || [] }));
+};
+
+/**
+ * Reads an uploaded import file (or an already parsed JSON body) into product records
+ * `{ row, sku, name, ..., brand, category, suitableSkin, ingredients, variants }` where the references
+ * are still names.
+ */
+const parseImport = ({ file, body }) => {
+  if (file) {
+    const content = file.buffer.toString("utf8");
+    const isCsv = file.mimetype === "text/csv" || /\.csv$/i.test(file.originalname);
+    return isCsv ? parseCsv(content) : parseJson(content);
+  }
+  if (body && body.products !== undefined) {
+    return parseJson(body.products);
+  }
+  throw createError(400, 'Send a CSV or JSON file in the "file" field, or a JSON body with "products".');
+};
+
+const loadLookups = async () => {
+  const [brands, categories, skins, ingredients] = await Promise.all([
+    db.Brand.find().select("name status").sort({ status: -1 }),
+    db.Category.find().select("name status").sort({ status: -1 }),
+    db.Skin.find().select("type status").sort({ status: -1 }),
+    db.Ingredient.find().select("inciName status").sort({ status: -1 }),
+  ]);
+
+  // Names are matched case-insensitively; on duplicates the active entry wins because of the sort.
+  const byName = (documents, field) => {
+    const map = new Map();
+    documents.forEach((document) => {
+      const key = String(document[field]).trim().toLowerCase();
+      if (!map.has(key)) map.set(key, document._id);
+    });
+    return map;
+  };
+
+  return {
+    brands: byName(brands, "name"),
+    categories: byName(categories, "name"),
+    skins: byName(skins, "type"),
+    ingredients: byName(ingredients, "inciName"),
+  };
+};
+
+const resolveName = (map, name) => map.get(String(name).trim().toLowerCase());
+
+// Existing variants are updated in place (keeping their ids for carts and orders), new SKUs are added.
+const mergeVariants = (product, variants) => {
+  variants.forEach((input) => {
+    const variant = product.variants.find((existing) => existing.sku === input.sku);
+    if (!variant) {
+      product.variants.push(input);
+      return;
+    }
+    ["price", "quantity", "image", "weight"].forEach((field) => {
+      if (input[field] !== undefined) variant[field] = input[field];
+    });
+    ["size", "volume", "shade"].forEach((field) => {
+      if (input.attributes && input.attributes[field] !== undefined)
+        variant.attributes[field] = input.attributes[field];
+    });
+  });
+};
+
+// Stock per variant id ("" for the product itself) to record what an import changed in the ledger.
+const stockLevels = (product) =>
+  product.variants.length > 0
+    ? new Map(product.variants.map((variant) => [variant._id.toString(), variant.quantity]))
+    : new Map([["", product.quantity || 0]]);
+
+const stockMovements = (product, before, actor) => {
+  const after = stockLevels(product);
+  return [...new Set([...before.keys(), ...after.keys()])].map((key) => ({
+    product: product._id,
+    variant: key || undefined,
+    type: "import",
+    quantity: (after.get(key) || 0) - (before.get(key) || 0),
+    balance: after.get(key) || 0,
+    actor,
+  }));
+};
+
+// Saves an imported product. An existing one is only saved while its stock is still what it was read
+// with: the import sets absolute quantities, which must not overwrite sales made in the meantime.
+const saveImportedProduct = async (product, stockRead) => {
+  if (stockRead !== undefined) {
+    product.$where = { quantity: stockRead };
+  }
+  try {
+    return await product.save();
+  } catch (error) {
+    if (["DocumentNotFoundError", "VersionError"].includes(error.name)) {
+      throw createError(409, `The stock of ${product.sku} changed during the import, import it again.`);
+    }
+    throw error;
+  }
+};
+
+const validationMessages = (error) =>
+  error.name === "ValidationError" ? Object.values(error.errors).map((item) => item.message) : [error.message];
+
+/**
+ * Validates every record and, unless `dryRun` is set or a record has errors, creates or updates the
+ * products by SKU. Nothing is saved when any record fails validation, so a file can be fixed and sent
+ * again as is. Products are then saved one by one: a save that still fails, e.g. on an SKU another request
+ * just took, stops the import there and the report tells which rows were `saved`.
+ * Stock changes are recorded in the inventory ledger as "import" movements by `createBy`, decreases are
+ * taken out of the stock batches earliest expiry first, price changes go to the price history.
+ */
+const importProducts = async (records, { dryRun = false, createBy } = {}) => {
+  const lookups = await loadLookups();
+  const skus = records.map((record) => record.sku).filter(Boolean);
+  const variantSkus = records.flatMap((record) => record.variants.map((variant) => variant.sku)).filter(Boolean);
+
+  const [existingProducts, variantOwners] = await Promise.all([
+    db.Product.find({ sku: { $in: skus } }),
+    db.Product.find({ "variants.sku": { $in: variantSkus } }).select("sku name variants.sku"),
+  ]);
+  const existingBySku = new Map(existingProducts.map((product) => [product.sku, product]));
+
+  const seenSkus = new Set();
+  const seenVariantSkus = new Set();
+  const results = [];
+
+  for (const record of records) {
+    const errors = [];
+
+    if (!record.sku) {
+      errors.push("SKU is required.");
+    } else if (seenSkus.has(record.sku)) {
+      errors.push(`SKU ${record.sku} appears more than once.`);
+    }
+    seenSkus.add(record.sku);
+
+    record.variants.forEach((variant) => {
+      if (seenVariantSkus.has(variant.sku)) {
+        errors.push(`Variant SKU ${variant.sku} appears more than once.`);
+      }
+      seenVariantSkus.add(variant.sku);
+      const owner = variantOwners.find(
+        (product) => product.sku !== record.sku && product.variants.some((item) => item.sku === variant.sku)
+      );
+      if (owner) {
+        errors.push(`Variant SKU ${variant.sku} is already used by ${owner.name}.`);
+      }
+    });
+
+    const existing = existingBySku.get(record.sku);
+    if (existing?.isDeleted) {
+      errors.push(`Product ${record.sku} is deleted, restore it before importing it.`);
+    }
+    const product = existing || new db.Product({ sku: record.sku, createBy });
+    const stockRead = existing?.quantity;
+    const stockBefore = stockLevels(product);
+    const pricesBefore = existing ? priceLevels(product) : new Map();
+
+    PRODUCT_FIELDS.filter((field) => record[field] !== undefined).forEach((field) => {
+      product[field] = record[field];
+    });
+    REFERENCE_FIELDS.forEach(([field, lookup, label]) => {
+      if (record[field] === undefined) return;
+      const id = resolveName(lookups[lookup], record[field]);
+      if (id) {
+        product[field] = id;
+      } else {
+        errors.push(`${label} "${record[field]}" not found.`);
+      }
+    });
+    if (record.ingredients !== undefined) {
+      const ids = [];
+      (Array.isArray(record.ingredients) ? record.ingredients : [record.ingredients]).forEach((name) => {
+        const id = resolveName(lookups.ingredients, name);
+        if (id) ids.push(id);
+        else errors.push(`Ingredient "${name}" not found.`);
+      });
+      product.ingredients = ids;
+    }
+    mergeVariants(product, record.variants);
+
+    try {
+      await product.validate();
+    } catch (error) {
+      errors.push(...validationMessages(error));
+    }
+
+    results.push({
+      row: record.row,
+      sku: record.sku,
+      action: existing ? "update" : "create",
+      errors,
+      saved: false,
+      product,
+      stockRead,
+      stockBefore,
+      pricesBefore,
+    });
+  }
+
+  if (!dryRun && results.every((result) => result.errors.length === 0)) {
+    for (const result of results) {
+      try {
+        await saveImportedProduct(result.product, result.stockRead);
+        result.saved = true;
+        const movements = stockMovements(result.product, result.stockBefore, createBy);
+        await takeFromBatches(movements);
+        await recordMovements(movements);
+        await recordPriceHistory(priceHistoryEntries(result.product, result.pricesBefore, createBy, "Import"));
+      } catch (error) {
+        result.errors.push(...validationMessages(error));
+        break;
+      }
+    }
+  }
+
+  const failed = results.filter((result) => result.errors.length > 0);
+  return {
+    dryRun,
+    imported: results.every((result) => result.saved),
+    total: results.length,
+    created: results.filter((result) => result.action === "create").length,
+    updated: results.filter((result) => result.action === "update").length,
+    failed: failed.length,
+    rows: results.map(({ row, sku, action, errors, saved }) => ({ row, sku, action, errors, saved })),
+  };
+};
+
+const loadCatalog = () =>
+  db.Product.find({ isDeleted: { $ne: true } })
+    .populate("brand", "name")
+    .populate("category", "name")
+    .populate("suitableSkin", "type")
+    .populate("ingredients", "inciName")
+    .sort({ createdAt: 1 })
+    .lean();
+
+const toImportShape = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  quantity: product.quantity,
+  image: product.image,
+  lowStockThreshold: product.lowStockThreshold,
+  weight: product.weight,
+  brand: product.brand?.name,
+  category: product.category?.name,
+  suitableSkin: product.suitableSkin?.type,
+  ingredients: (product.ingredients || []).filter(Boolean).map((ingredient) => ingredient.inciName),
+  variants: (product.variants || []).map(({ sku, attributes, price, quantity, image, weight }) => ({
+    sku,
+    attributes,
+    price,
+    quantity,
+    image,
+    weight,
+  })),
+});
+
+// Exports every product that is not deleted in the format accepted by `importProducts`.
+const exportProducts = async (format) => {
+  const products = (await loadCatalog()).map(toImportShape);
+  if (format === "json") {
+    return JSON.stringify(products, null, 2);
+  }
+
+  const rows = products.flatMap(({ variants, ingredients, ...product }) => {
+    const base = { ...product, ingredients: ingredients.join(INGREDIENT_SEPARATOR) };
+    if (variants.length === 0) {
+      return [base];
+    }
+    return variants.map((variant) => ({
+      ...base,
+      variantSku: variant.sku,
+      variantSize: variant.attributes?.size,
+      variantVolume: variant.attributes?.volume,
+      variantShade: variant.attributes?.shade,
+      variantPrice: variant.price,
+      variantQuantity: variant.quantity,
+      variantImage: variant.image,
+      variantWeight: variant.weight,
+    }));
+  });
+  return stringify(rows, { header: true, columns: CSV_COLUMNS });
+};
+
+module.exports = { parseImport, importProducts, exportProducts };
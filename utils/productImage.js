@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+const sharp = require("sharp");
+const createError = require("http-errors");
+const { getStorage } = require("./storage");
+
+const THUMBNAIL_SIZE = 300;
+const EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp" };
+
+/**
+ * Validates an uploaded file by decoding it, then stores it under `folder` with a square thumbnail, in the
+ * private storage when `access` is "private". Returns the fields of a Product gallery entry.
+ */
+const storeImage = async (folder, file, { access } = {}) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw createError(400, `${file.originalname} is not a valid image.`);
+  }
+  if (!EXTENSIONS[metadata.format]) {
+    throw createError(400, `${file.originalname} must be a JPEG, PNG or WebP image.`);
+  }
+
+  const name = `${folder}/${crypto.randomUUID()}`;
+  const thumbnail = await sharp(file.buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" })
+    .webp()
+    .toBuffer();
+
+  const storage = getStorage({ access });
+  const original = await storage.save(file.buffer, `${name}.${EXTENSIONS[metadata.format]}`);
+  const thumb = await storage.save(thumbnail, `${name}_thumb.webp`);
+
+  return {
+    url: original.url,
+    key: original.key,
+    thumbnailUrl: thumb.url,
+    thumbnailKey: thumb.key,
+    width: metadata.width,
+    height: metadata.height,
+  };
+};
+
+const storeProductImage = (productId, file) => storeImage(`products/${productId}`, file);
+
+const removeProductImage = async (image, { access } = {}) => {
+  const storage = getStorage({ access });
+  await Promise.all([image.key, image.thumbnailKey].filter(Boolean).map((key) => storage.remove(key)));
+};
+
+module.exports = { storeImage, storeProductImage, removeProductImage };
@@ -0,0 +1,219 @@
+const mongoose = require("mongoose");
+const createError = require("http-errors");
+const { PAID_STATUSES } = require("./orderStatus");
+const { resolveFreeFrom } = require("./ingredient");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { effectivePrice: 1, _id: 1 },
+  price_desc: { effectivePrice: -1, _id: 1 },
+  rating: { averageRating: -1, reviewCount: -1, _id: 1 },
+  best_selling: { soldCount: -1, _id: 1 },
+};
+
+// Accepts "id1,id2" or repeated query params and returns ObjectIds, rejecting malformed ids with 400.
+const parseIdList = (value, name) => {
+  const ids = (Array.isArray(value) ? value : String(value).split(",")).map((id) => id.trim()).filter(Boolean);
+  if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw createError(400, `Invalid ${name} id.`);
+  }
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (value === "" || isNaN(number) || number < 0) {
+    throw createError(400, `${name} must be a non-negative number.`);
+  }
+  return number;
+};
+
+// Feedback with a status of "false" does not count towards ratings, in the listing or on the product detail.
+const VISIBLE_FEEDBACK = { status: { $ne: "false" } };
+
+const ratingLookup = [
+  {
+    $lookup: {
+      from: "feedbacks",
+      let: { productId: "$_id" },
+      pipeline: [{ $match: { ...VISIBLE_FEEDBACK, $expr: { $eq: ["$product", "$$productId"] } } }],
+      as: "feedbacks",
+    },
+  },
+  {
+    $addFields: {
+      averageRating: { $ifNull: [{ $round: [{ $avg: "$feedbacks.rating" }, 1] }, 0] },
+      reviewCount: { $size: "$feedbacks" },
+    },
+  },
+  { $project: { feedbacks: 0 } },
+];
+
+// The latest-starting entry of an array expression of price changes, or null.
+const latestStartedExpr = (changes) => ({
+  $reduce: {
+    input: changes,
+    initialValue: null,
+    in: {
+      $cond: [
+        { $or: [{ $eq: ["$$value", null] }, { $gt: ["$$this.startsAt", "$$value.startsAt"] }] },
+        "$$this",
+        "$$value",
+      ],
+    },
+  },
+});
+
+// `getUnitPrice` as an aggregation expression: a running sale, else the latest scheduled price that has
+// taken effect, else the base price. `variantId` is null for the product itself.
+const unitPriceExpr = (variantId, basePrice, now) => ({
+  $let: {
+    vars: {
+      started: {
+        $filter: {
+          input: { $ifNull: ["$priceChanges", []] },
+          as: "change",
+          cond: {
+            $and: [{ $eq: [{ $ifNull: ["$$change.variant", null] }, variantId] }, { $lte: ["$$change.startsAt", now] }],
+          },
+        },
+      },
+    },
+    in: {
+      $let: {
+        vars: {
+          sale: latestStartedExpr({
+            $filter: {
+              input: "$$started",
+              as: "change",
+              cond: {
+                $and: [
+                  { $eq: ["$$change.type", "sale"] },
+                  { $or: [{ $eq: [{ $ifNull: ["$$change.endsAt", null] }, null] }, { $gt: ["$$change.endsAt", now] }] },
+                ],
+              },
+            },
+          }),
+          scheduled: latestStartedExpr({
+            $filter: { input: "$$started", as: "change", cond: { $eq: ["$$change.type", "scheduled"] } },
+          }),
+        },
+        in: { $ifNull: ["$$sale.price", { $ifNull: ["$$scheduled.price", basePrice] }] },
+      },
+    },
+  },
+});
+
+// The price the product is sold at right now; products with variants start at their cheapest variant.
+const effectivePriceStage = (now) => ({
+  $addFields: {
+    effectivePrice: {
+      $cond: [
+        { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+        {
+          $min: {
+            $map: { input: "$variants", as: "variant", in: unitPriceExpr("$$variant._id", "$$variant.price", now) },
+          },
+        },
+        unitPriceExpr(null, "$price", now),
+      ],
+    },
+  },
+});
+
+const salesLookup = [
+  {
+    $lookup: {
+      from: "orders",
+      let: { productId: "$_id" },
+      pipeline: [
+        { $match: { status: { $in: PAID_STATUSES }, $expr: { $in: ["$$productId", "$items.product"] } } },
+        { $unwind: "$items" },
+        { $match: { $expr: { $eq: ["$items.product", "$$productId"] } } },
+        { $group: { _id: null, sold: { $sum: "$items.quantity" } } },
+      ],
+      as: "sales",
+    },
+  },
+  { $addFields: { soldCount: { $ifNull: [{ $first: "$sales.sold" }, 0] } } },
+  { $project: { sales: 0 } },
+];
+
+/**
+ * Turns the query string of GET /api/products into an aggregation pipeline plus paging info.
+ * Supported: q, brand, category, suitableSkin, ingredients, excludeIngredients, freeFrom, minPrice, maxPrice,
+ * inStock, sort, page, limit. A product must contain every ingredient of `ingredients` and none of
+ * `excludeIngredients` or of the ingredients flagged with one of the `freeFrom` allergens. Prices are
+ * filtered and sorted on `effectivePrice`. Only with `page` or `limit` is the result paged, through a
+ * `$facet` of `products` and `total`; otherwise the pipeline yields every matching product.
+ */
+const buildProductListQuery = async (query, { baseFilter = { isDeleted: { $ne: true } } } = {}) => {
+  const match = { ...baseFilter };
+
+  if (query.q && String(query.q).trim()) {
+    match.$text = { $search: String(query.q).trim() };
+  }
+  if (query.brand) {
+    match.brand = { $in: parseIdList(query.brand, "brand") };
+  }
+  if (query.category) {
+    match.category = { $in: parseIdList(query.category, "category") };
+  }
+  if (query.suitableSkin) {
+    match.suitableSkin = { $in: parseIdList(query.suitableSkin, "suitableSkin") };
+  }
+  if (query.ingredients || query.excludeIngredients || query.freeFrom) {
+    const included = query.ingredients ? parseIdList(query.ingredients, "ingredient") : [];
+    const excluded = query.excludeIngredients ? parseIdList(query.excludeIngredients, "ingredient") : [];
+    if (query.freeFrom) {
+      excluded.push(...(await resolveFreeFrom(query.freeFrom)));
+    }
+    if (included.length > 0 || excluded.length > 0) {
+      match.ingredients = {};
+      if (included.length > 0) match.ingredients.$all = included;
+      if (excluded.length > 0) match.ingredients.$nin = excluded;
+    }
+  }
+  const priceMatch = {};
+  if (query.minPrice !== undefined) priceMatch.$gte = parseNumber(query.minPrice, "minPrice");
+  if (query.maxPrice !== undefined) priceMatch.$lte = parseNumber(query.maxPrice, "maxPrice");
+  if (query.inStock === "true") {
+    match.quantity = { $gt: 0 };
+  }
+
+  const sortKey = query.sort || (match.$text ? "relevance" : "newest");
+  if (sortKey !== "relevance" && !SORTS[sortKey]) {
+    throw createError(400, `sort must be one of relevance, ${Object.keys(SORTS).join(", ")}.`);
+  }
+
+  const paginated = query.page !== undefined || query.limit !== undefined;
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const pipeline = [{ $match: match }, effectivePriceStage(new Date())];
+  if (Object.keys(priceMatch).length > 0) {
+    pipeline.push({ $match: { effectivePrice: priceMatch } });
+  }
+  if (sortKey === "rating") pipeline.push(...ratingLookup);
+  if (sortKey === "best_selling") pipeline.push(...salesLookup);
+  if (sortKey === "relevance") {
+    pipeline.push({ $addFields: { score: { $meta: "textScore" } } }, { $sort: { score: -1, _id: 1 } });
+  } else {
+    pipeline.push({ $sort: SORTS[sortKey] });
+  }
+  if (paginated) {
+    pipeline.push({
+      $facet: {
+        products: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    });
+  }
+
+  return { pipeline, paginated, page, limit };
+};
+
+module.exports = { VISIBLE_FEEDBACK, buildProductListQuery };
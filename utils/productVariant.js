@@ -0,0 +1,49 @@
+const findVariant = (product, variantId) =>
+  variantId && product.variants
+    ? product.variants.find((variant) => variant._id.toString() === variantId.toString())
+    : null;
+
+// Variants carry their own price; products without variants are sold at the product price.
+const getBasePrice = (product, variant) => (variant ? variant.price : product.price);
+
+const isPriceChangeFor = (change, variant) => String(change.variant || "") === String(variant?._id || "");
+
+const latestStarted = (changes) =>
+  changes.reduce((latest, change) => (!latest || change.startsAt > latest.startsAt ? change : latest), null);
+
+/**
+ * The price a product or variant sells at, at `at`: a running sale, otherwise the latest scheduled price
+ * that has taken effect (in case it was not applied to the product yet), otherwise the base price.
+ */
+const getUnitPrice = (product, variant, at = new Date()) => {
+  const started = (product.priceChanges || []).filter(
+    (change) => isPriceChangeFor(change, variant) && change.startsAt <= at
+  );
+  const sale = latestStarted(started.filter((change) => change.type === "sale" && !(change.endsAt <= at)));
+  const scheduled = latestStarted(started.filter((change) => change.type === "scheduled"));
+  return (sale || scheduled || { price: getBasePrice(product, variant) }).price;
+};
+
+const getAvailableQuantity = (product, variant) => (variant ? variant.quantity : product.quantity);
+
+const VARIANT_ATTRIBUTES = ["size", "volume", "shade"];
+
+const describeVariant = (variant) => {
+  if (!variant) {
+    return "";
+  }
+  const label = VARIANT_ATTRIBUTES.map((attribute) => variant.attributes?.[attribute])
+    .filter(Boolean)
+    .join(" / ");
+  return label || variant.sku;
+};
+
+module.exports = {
+  VARIANT_ATTRIBUTES,
+  findVariant,
+  getBasePrice,
+  isPriceChangeFor,
+  getUnitPrice,
+  getAvailableQuantity,
+  describeVariant,
+};
@@ -0,0 +1,154 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+
+const promotionError = (code, message) => createError(400, message, { code });
+
+const SCOPE_FIELDS = [
+  ["applicableProducts", "_id"],
+  ["applicableBrands", "brand"],
+  ["applicableCategories", "category"],
+  ["applicableSkins", "suitableSkin"],
+];
+
+const isScoped = (promotion) => SCOPE_FIELDS.some(([field]) => promotion[field] && promotion[field].length > 0);
+
+// A product is eligible when it matches every scope the promotion defines; an empty scope matches everything.
+const isEligibleProduct = (promotion, product) =>
+  SCOPE_FIELDS.every(([field, productField]) => {
+    const allowed = promotion[field];
+    if (!allowed || allowed.length === 0) {
+      return true;
+    }
+    const value = product[productField];
+    return value && allowed.some((id) => id.toString() === (value._id || value).toString());
+  });
+
+/**
+ * Looks up a promotion code and checks that it can be applied to an order.
+ *
+ * `lines` are `{ product, quantity, price }` with populated products and are needed for scoped promotions.
+ * `account` enables the per-customer limit check, which `redeemPromotion` enforces again atomically. Returns the discount on the goods and whether
+ * shipping is free, or throws a 400 error carrying one of the PROMOTION_* codes.
+ */
+const validatePromotion = async (code, { subtotal, lines, account } = {}) => {
+  const promotion = await db.Promotion.findOne({ code: String(code).trim() });
+  if (!promotion) {
+    throw promotionError("PROMOTION_NOT_FOUND", "Promotion code does not exist.");
+  }
+
+  const now = new Date();
+  if (!promotion.status) {
+    throw promotionError("PROMOTION_INACTIVE", "Promotion code is no longer active.");
+  }
+
+  if (promotion.startAt && promotion.startAt > now) {
+    throw promotionError("PROMOTION_NOT_STARTED", "Promotion code is not active yet.");
+  }
+
+  if (promotion.expiredAt <= now) {
+    throw promotionError("PROMOTION_EXPIRED", "Promotion code has expired.");
+  }
+
+  if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) {
+    throw promotionError("PROMOTION_USAGE_LIMIT_REACHED", "Promotion code has reached its usage limit.");
+  }
+
+  if (account && promotion.perCustomerLimit) {
+    const customerUsage = await db.PromotionRedemption.countDocuments({
+      promotion: promotion._id,
+      account,
+      status: "Applied",
+    });
+    if (customerUsage >= promotion.perCustomerLimit) {
+      throw promotionError("PROMOTION_CUSTOMER_LIMIT_REACHED", "You have already used this promotion code.");
+    }
+  }
+
+  if (subtotal < (promotion.minOrderValue || 0)) {
+    throw promotionError(
+      "PROMOTION_MIN_ORDER_NOT_MET",
+      `Promotion code requires a minimum order value of ${promotion.minOrderValue}.`
+    );
+  }
+
+  let eligibleSubtotal = subtotal;
+  if (isScoped(promotion)) {
+    eligibleSubtotal = (lines || [])
+      .filter(({ product }) => isEligibleProduct(promotion, product))
+      .reduce((sum, { product, price, quantity }) => sum + (price ?? product.price) * quantity, 0);
+
+    if (eligibleSubtotal <= 0) {
+      throw promotionError("PROMOTION_NOT_APPLICABLE", "Promotion code does not apply to any product in the order.");
+    }
+  }
+
+  if (promotion.type === "free_shipping") {
+    return { promotion, discount: 0, freeShipping: true };
+  }
+
+  let discount =
+    promotion.type === "fixed" ? promotion.discount : Math.round((eligibleSubtotal * promotion.discount) / 100);
+  if (promotion.maxDiscount) {
+    discount = Math.min(discount, promotion.maxDiscount);
+  }
+
+  return { promotion, discount: Math.min(discount, eligibleSubtotal), freeShipping: false };
+};
+
+// Counts a redemption by `account` against the per-customer limit. The first redemption creates the counter;
+// when two first redemptions race, the one that loses the insert retries against the counter the other made.
+const redeemCustomerUsage = async (promotion, account) => {
+  const filter = { promotion: promotion._id, account, usedCount: { $lt: promotion.perCustomerLimit } };
+  try {
+    return await db.PromotionUsage.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { upsert: true, new: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+  return db.PromotionUsage.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true });
+};
+
+// The global and per-customer usage limits are re-checked in the updates themselves so concurrent checkouts
+// cannot exceed them.
+const redeemPromotion = async (promotion, { account } = {}) => {
+  const filter = { _id: promotion._id };
+  if (promotion.usageLimit) {
+    filter.usedCount = { $lt: promotion.usageLimit };
+  }
+
+  const redeemed = await db.Promotion.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { new: true });
+  if (!redeemed) {
+    throw promotionError("PROMOTION_USAGE_LIMIT_REACHED", "Promotion code has reached its usage limit.");
+  }
+
+  if (account && promotion.perCustomerLimit && !(await redeemCustomerUsage(promotion, account))) {
+    await db.Promotion.updateOne({ _id: promotion._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    throw promotionError("PROMOTION_CUSTOMER_LIMIT_REACHED", "You have already used this promotion code.");
+  }
+  return redeemed;
+};
+
+const recordRedemption = (promotion, order) =>
+  db.PromotionRedemption.create({
+    promotion: promotion._id,
+    code: promotion.code,
+    account: order.account,
+    order: order._id,
+    discount: order.pricing?.discount || 0,
+  });
+
+// Gives the usage back when an order that redeemed a code is never paid.
+const releasePromotion = async (order) => {
+  if (!order.promotion) {
+    return;
+  }
+  await db.Promotion.updateOne({ _id: order.promotion, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await db.PromotionUsage.updateOne(
+    { promotion: order.promotion, account: order.account._id || order.account, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  await db.PromotionRedemption.updateMany({ order: order._id, status: "Applied" }, { status: "Released" });
+};
+
+module.exports = { validatePromotion, redeemPromotion, recordRedemption, releasePromotion };
@@ -0,0 +1,283 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const handlebars = require("handlebars");
+const nodemailer = require("nodemailer");
+const createError = require("http-errors");
+const { dateFormat, RefundTransactionType } = require("vnpay");
+const db = require("../models/index");
+const { vnpay } = require("./vnpay");
+const { transitionOrder } = require("./orderStatus");
+const { REFUND_RULE_LABELS } = require("./refundPolicy");
+
+const REFUND_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["processing"],
+  processing: ["completed", "approved"],
+  completed: [],
+  rejected: [],
+};
+
+const OPEN_REFUND_STATUSES = ["requested", "approved", "processing"];
+
+// A refund still processing after this long lost its answer from VNPay, e.g. to a crash or a timeout.
+const STALE_PROCESSING_MINUTES = Number(process.env.REFUND_STALE_PROCESSING_MINUTES) || 15;
+
+// The payment states VNPay reports once a refund of it was accepted: refund in progress or sent to the bank.
+const REFUNDED_TRANSACTION_STATUSES = ["05", "06"];
+
+const REFUND_STATUS_LABELS = {
+  requested: "Đang chờ duyệt",
+  approved: "Đã duyệt, đang chờ hoàn tiền",
+  processing: "Đang xử lý",
+  completed: "Đã hoàn tiền",
+  rejected: "Bị từ chối",
+};
+
+// Renders the refund record line by line, with the policy rule behind each percentage.
+const sendRefundEmail = (account, refund) => {
+  const emailTemplatePath = path.join(__dirname, "../templates/refundTemplate.html");
+  const emailTemplate = handlebars.compile(fs.readFileSync(emailTemplatePath, "utf8"));
+  const emailHtml = emailTemplate({
+    orderId: refund.order,
+    refundAmount: refund.amount,
+    shippingFee: refund.shippingFee,
+    reason: refund.reason,
+    status: REFUND_STATUS_LABELS[refund.status],
+    rejectionNote: refund.status === "rejected" ? refund.statusHistory.at(-1)?.note : undefined,
+    awaitingPayout: ["requested", "approved"].includes(refund.status),
+    items: refund.lines.map((line) => ({
+      productName: line.name,
+      quantity: line.quantity,
+      amount: line.amount,
+      percent: line.percent,
+      refund: line.refund,
+      rule: REFUND_RULE_LABELS[line.rule],
+    })),
+  });
+
+  const transporter = nodemailer.createTransport({
+    service: "gmail",
+    auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
+  });
+
+  return transporter.sendMail({
+    from: process.env.EMAIL_USER,
+    to: account?.email,
+    subject: refund.status === "requested" ? "Xác nhận yêu cầu hoàn tiền đơn hàng" : "Cập nhật hoàn tiền đơn hàng",
+    html: emailHtml,
+  });
+};
+
+// Emails the customer of the refund's order without failing the caller.
+const notifyRefund = async (refund) => {
+  try {
+    const account = await db.Account.findById(refund.account).select("email");
+    const info = await sendRefundEmail(account, refund);
+    console.log("Email sent:", info.response);
+  } catch (error) {
+    console.error("Error sending refund email:", error);
+  }
+};
+
+/**
+ * Moves a refund to `status` and appends an entry to its status history. Like `transitionOrder`, the
+ * update only matches while the refund is still in the status it was read in, otherwise it fails with 409.
+ */
+const transitionRefund = async (refund, status, { changedBy, note, update = {} } = {}) => {
+  if (!(REFUND_TRANSITIONS[refund.status] || []).includes(status)) {
+    throw createError(400, `Cannot change refund status from ${refund.status} to ${status}.`);
+  }
+
+  const updatedRefund = await db.Refund.findOneAndUpdate(
+    { _id: refund._id, status: refund.status },
+    {
+      $set: { ...update, status },
+      $push: { statusHistory: { from: refund.status, status, changedBy, note, changedAt: new Date() } },
+    },
+    { new: true }
+  );
+  if (!updatedRefund) {
+    throw createError(409, "Refund status was changed by another request.");
+  }
+  return updatedRefund;
+};
+
+// A canceled or returned order whose refunds are all settled is refunded. Orders in any other status stay
+// as they are, and another request getting there first is fine.
+const settleOrder = async (orderId, changedBy) => {
+  const openRefunds = await db.Refund.exists({ order: orderId, status: { $in: OPEN_REFUND_STATUSES } });
+  if (openRefunds) {
+    return;
+  }
+  try {
+    await transitionOrder(orderId, "Refunded", { changedBy, note: "All refunds completed" });
+  } catch (error) {
+    if (![400, 409].includes(error.status)) {
+      throw error;
+    }
+  }
+};
+
+// The order of a refund, which needs a VNPay payment to send anything back.
+const findRefundOrder = async (refund) => {
+  const order = await db.Order.findById(refund.order);
+  if (!order) {
+    throw createError(404, "Order not found");
+  }
+  if (refund.amount > 0 && !order.payment?.transactionNo) {
+    throw createError(400, "The order has no VNPay payment to refund.");
+  }
+  return order;
+};
+
+// What is left of the payment of `order` once the other refunds sent or being sent to VNPay are deducted.
+const refundableAmount = async (order, refund) => {
+  const [{ total } = { total: 0 }] = await db.Refund.aggregate([
+    { $match: { order: order._id, _id: { $ne: refund._id }, status: { $in: ["processing", "completed"] } } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+  return order.totalAmount - total;
+};
+
+/**
+ * Sends an approved refund to the VNPay refund API against the original payment of the order: a full
+ * refund ("02") when it gives back everything left of the payment, a partial one ("03") otherwise. Refunds
+ * of nothing complete without a call. When VNPay refuses or cannot be reached the refund goes back to
+ * "approved" with the answer in `gateway`, so a manager can send it again.
+ */
+const processRefund = async (refund, { actor, createBy, ipAddr = "127.0.0.1" }) => {
+  const order = await findRefundOrder(refund);
+  const refundable = refund.amount > 0 ? await refundableAmount(order, refund) : 0;
+  if (refund.amount > refundable) {
+    throw createError(400, `The refund is more than the ${refundable} left of the payment.`);
+  }
+
+  const requestId = crypto.randomBytes(16).toString("hex");
+  const transactionType =
+    refund.amount >= refundable ? RefundTransactionType.FULL_REFUND : RefundTransactionType.PARTIAL_REFUND;
+  const processing = await transitionRefund(refund, "processing", {
+    changedBy: actor,
+    update: refund.amount > 0 ? { gateway: { requestId, transactionType } } : {},
+  });
+  if (processing.amount === 0) {
+    const completed = await transitionRefund(processing, "completed", { changedBy: actor, note: "Nothing to refund" });
+    await settleOrder(order._id, actor);
+    return completed;
+  }
+
+  let response;
+  try {
+    response = await vnpay.refund({
+      vnp_RequestId: requestId,
+      vnp_TxnRef: order._id.toString(),
+      vnp_TransactionNo: order.payment.transactionNo,
+      vnp_TransactionDate: Number(order.payment.payDate),
+      vnp_TransactionType: transactionType,
+      vnp_Amount: processing.amount,
+      vnp_OrderInfo: `Hoan tien don hang ${order._id}`,
+      vnp_CreateBy: createBy,
+      vnp_CreateDate: dateFormat(new Date()),
+      vnp_IpAddr: ipAddr,
+    });
+  } catch (error) {
+    response = { isSuccess: false, isVerified: true, message: error.message };
+  }
+
+  const gateway = {
+    requestId,
+    transactionType,
+    transactionNo: response.vnp_TransactionNo?.toString(),
+    responseCode: response.vnp_ResponseCode?.toString(),
+    message: response.isVerified ? response.message : "Invalid VNPay checksum",
+    respondedAt: new Date(),
+  };
+  if (!response.isSuccess || !response.isVerified) {
+    return transitionRefund(processing, "approved", {
+      changedBy: actor,
+      note: `VNPay refund failed: ${gateway.message}`,
+      update: { gateway },
+    });
+  }
+
+  const completed = await transitionRefund(processing, "completed", { changedBy: actor, update: { gateway } });
+  await settleOrder(order._id, actor);
+  return completed;
+};
+
+/**
+ * Settles a refund left in "processing" for longer than STALE_PROCESSING_MINUTES by asking VNPay about the
+ * payment first. When VNPay reports it refunded and no other refund of the order completed since, the
+ * refund completes; otherwise it goes back to "approved" with the answer in `gateway`, to be sent again.
+ * When VNPay cannot be reached the refund stays processing.
+ */
+const recoverRefund = async (refund, { actor, ipAddr = "127.0.0.1" }) => {
+  const startedAt = refund.statusHistory.findLast((entry) => entry.status === "processing")?.changedAt;
+  if (startedAt && Date.now() - startedAt < STALE_PROCESSING_MINUTES * 60 * 1000) {
+    throw createError(409, "The refund is still being sent to VNPay, try again later.");
+  }
+  const order = await findRefundOrder(refund);
+
+  let response;
+  try {
+    response = await vnpay.queryDr({
+      vnp_RequestId: crypto.randomBytes(16).toString("hex"),
+      vnp_TxnRef: order._id.toString(),
+      vnp_TransactionNo: Number(order.payment.transactionNo),
+      vnp_TransactionDate: Number(order.payment.payDate),
+      vnp_OrderInfo: `Kiem tra hoan tien don hang ${order._id}`,
+      vnp_CreateDate: dateFormat(new Date()),
+      vnp_IpAddr: ipAddr,
+    });
+  } catch (error) {
+    throw createError(502, `VNPay could not be asked about the refund: ${error.message}`);
+  }
+  if (!response.isVerified || !response.isSuccess) {
+    throw createError(502, `VNPay could not be asked about the refund: ${response.message}`);
+  }
+
+  const gateway = {
+    ...refund.toObject().gateway,
+    transactionNo: response.vnp_TransactionNo?.toString(),
+    responseCode: response.vnp_ResponseCode?.toString(),
+    message: response.message,
+    respondedAt: new Date(),
+  };
+  const isRefunded =
+    [RefundTransactionType.FULL_REFUND, RefundTransactionType.PARTIAL_REFUND].includes(
+      response.vnp_TransactionType?.toString()
+    ) && REFUNDED_TRANSACTION_STATUSES.includes(response.vnp_TransactionStatus?.toString());
+  const refundedSince = await db.Refund.exists({
+    order: order._id,
+    _id: { $ne: refund._id },
+    status: "completed",
+    "gateway.respondedAt": { $gte: startedAt || refund.updatedAt },
+  });
+  if (!isRefunded || refundedSince) {
+    return transitionRefund(refund, "approved", {
+      changedBy: actor,
+      note: "VNPay has no record of the refund",
+      update: { gateway },
+    });
+  }
+
+  const completed = await transitionRefund(refund, "completed", {
+    changedBy: actor,
+    note: "Confirmed with VNPay",
+    update: { gateway },
+  });
+  await settleOrder(order._id, actor);
+  return completed;
+};
+
+module.exports = {
+  REFUND_TRANSITIONS,
+  OPEN_REFUND_STATUSES,
+  REFUND_STATUS_LABELS,
+  sendRefundEmail,
+  notifyRefund,
+  transitionRefund,
+  findRefundOrder,
+  processRefund,
+  recoverRefund,
+};
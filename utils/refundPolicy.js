@@ -0,0 +1,130 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+
+const REFUND_RULE_LABELS = {
+  non_refundable_category: "Sản phẩm không được hoàn tiền",
+  full_refund_status: "Hoàn tiền toàn bộ",
+  time_since_payment: "Theo thời gian từ lúc thanh toán",
+  default: "Mức hoàn tiền mặc định",
+  return: "Hoàn tiền hàng trả lại",
+};
+
+// The saved policy, or the schema defaults until an admin saves one.
+const getRefundPolicy = async () => (await db.RefundPolicy.findOne()) || new db.RefundPolicy();
+
+const getPaidAt = (order) => order.statusHistory.find((entry) => entry.status === "Paid")?.changedAt || order.createdAt;
+
+const isNonNegative = (value) => value !== "" && value !== null && Number(value) >= 0;
+const isPercent = (value) => isNonNegative(value) && Number(value) <= 100;
+
+/**
+ * Checks a refund policy update and returns the fields to save. Tiers are kept sorted by `withinHours`
+ * so the first matching tier is always the shortest one.
+ */
+const validateRefundPolicy = async (input) => {
+  const update = {};
+  if (input.fullRefundStatuses !== undefined) {
+    const statuses = db.RefundPolicy.schema.path("fullRefundStatuses").caster.enumValues;
+    if (
+      !Array.isArray(input.fullRefundStatuses) ||
+      input.fullRefundStatuses.some((status) => !statuses.includes(status))
+    ) {
+      throw createError(400, `Full refund statuses must be a list of ${statuses.join(", ")}.`);
+    }
+    update.fullRefundStatuses = input.fullRefundStatuses;
+  }
+  if (input.tiers !== undefined) {
+    const validTiers =
+      Array.isArray(input.tiers) &&
+      input.tiers.every((tier) => isNonNegative(tier.withinHours) && isPercent(tier.percent));
+    if (!validTiers) {
+      throw createError(400, "Each tier needs withinHours of 0 or more and a percent between 0 and 100.");
+    }
+    update.tiers = input.tiers
+      .map((tier) => ({ withinHours: Number(tier.withinHours), percent: Number(tier.percent) }))
+      .sort((a, b) => a.withinHours - b.withinHours);
+  }
+  if (input.defaultPercent !== undefined) {
+    if (!isPercent(input.defaultPercent)) {
+      throw createError(400, "Default percent must be between 0 and 100.");
+    }
+    update.defaultPercent = Number(input.defaultPercent);
+  }
+  if (input.nonRefundableCategories !== undefined) {
+    const ids = Array.isArray(input.nonRefundableCategories) ? input.nonRefundableCategories : [];
+    const found = await db.Category.countDocuments({ _id: { $in: ids } }).catch(() => -1);
+    if (!Array.isArray(input.nonRefundableCategories) || found !== new Set(ids.map(String)).size) {
+      throw createError(400, "Non-refundable categories must be a list of existing category IDs.");
+    }
+    update.nonRefundableCategories = ids;
+  }
+  return update;
+};
+
+// What the customer paid for `quantity` units of `item`, with the order discount spread over the lines.
+// Orders placed before items stored their price split the total evenly over the units.
+const paidAmount = (order, item, quantity) => {
+  if (item.price === undefined) {
+    const units = order.items.reduce((sum, line) => sum + line.quantity, 0);
+    return Math.round((order.totalAmount * quantity) / units);
+  }
+  const { subtotal, discount = 0 } = order.pricing || {};
+  const share = subtotal ? (subtotal - discount) / subtotal : 1;
+  return Math.round(item.price * quantity * share);
+};
+
+/**
+ * Prices the refund of canceling `lines`, `[{ item, quantity }]` with order items, under the refund policy.
+ * Canceling everything left of the order also gives back the shipping fee, since nothing will ship.
+ * Resolves to `{ amount, shippingFee, lines }` in the shape of a refund record.
+ */
+const quoteRefund = async (order, lines, { policy, now = new Date() } = {}) => {
+  const refundPolicy = policy || (await getRefundPolicy());
+  const productIds = lines.map(({ item }) => item.product._id || item.product);
+  const products = await db.Product.find({ _id: { $in: productIds } }).select("category");
+  const categoryOf = new Map(products.map((product) => [product._id.toString(), String(product.category)]));
+  const nonRefundable = new Set(refundPolicy.nonRefundableCategories.map(String));
+
+  const hoursSincePayment = (now - getPaidAt(order)) / (60 * 60 * 1000);
+  const tier = [...refundPolicy.tiers]
+    .sort((a, b) => a.withinHours - b.withinHours)
+    .find((candidate) => hoursSincePayment <= candidate.withinHours);
+  let orderTerms = { percent: refundPolicy.defaultPercent, rule: "default" };
+  if (refundPolicy.fullRefundStatuses.includes(order.status)) {
+    orderTerms = { percent: 100, rule: "full_refund_status" };
+  } else if (tier) {
+    orderTerms = { percent: tier.percent, rule: "time_since_payment" };
+  }
+
+  const refundLines = lines.map(({ item, quantity }) => {
+    const product = item.product._id || item.product;
+    const { percent, rule } = nonRefundable.has(categoryOf.get(product.toString()))
+      ? { percent: 0, rule: "non_refundable_category" }
+      : orderTerms;
+    const amount = paidAmount(order, item, quantity);
+    const name = item.name || item.product.name;
+    return {
+      item: item._id,
+      product,
+      name: item.variantName ? `${name} (${item.variantName})` : name,
+      quantity,
+      amount,
+      percent,
+      refund: Math.round((amount * percent) / 100),
+      rule,
+    };
+  });
+
+  const canceled = new Map(lines.map(({ item, quantity }) => [item._id.toString(), quantity]));
+  const cancelsEverything = order.items.every(
+    (item) => item.quantity - (item.canceledQuantity || 0) === (canceled.get(item._id.toString()) || 0)
+  );
+  const shippingFee = cancelsEverything ? order.pricing?.shippingFee || 0 : 0;
+  return {
+    amount: refundLines.reduce((sum, line) => sum + line.refund, shippingFee),
+    shippingFee,
+    lines: refundLines,
+  };
+};
+
+module.exports = { REFUND_RULE_LABELS, getRefundPolicy, getPaidAt, validateRefundPolicy, paidAmount, quoteRefund };
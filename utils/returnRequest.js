@@ -0,0 +1,304 @@
+const mongoose = require("mongoose");
+const createError = require("http-errors");
+const db = require("../models/index");
+const { transitionOrder } = require("./orderStatus");
+const { releaseStock } = require("./stockReservation");
+const { splitBatches } = require("./stockBatch");
+const { paidAmount } = require("./refundPolicy");
+const { storeImage, removeProductImage } = require("./productImage");
+
+const RETURN_REASONS = ["damaged", "wrong_item", "defective", "other"];
+const RETURN_DISPOSITIONS = ["restock", "write_off"];
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+const RETURN_TRANSITIONS = {
+  requested: ["approved", "rejected"],
+  approved: ["received", "rejected"],
+  received: [],
+  rejected: [],
+};
+
+const OPEN_RETURN_STATUSES = ["requested", "approved"];
+
+const returnableQuantity = (item) =>
+  item.quantity - (item.canceledQuantity || 0) - (item.returnedQuantity || 0) - (item.returnRequestedQuantity || 0);
+
+const getDeliveredAt = (order) =>
+  order.statusHistory.find((entry) => entry.status === "Delivered")?.changedAt || order.updatedAt;
+
+/**
+ * Checks the lines a customer asks to return, `[{ item, quantity }]` with order item IDs, against what was
+ * delivered and not returned yet. A line without quantity returns all of it. Only delivered orders can be
+ * returned, within RETURN_WINDOW_DAYS of delivery. Returns `[{ item, quantity }]` with the order items.
+ */
+const resolveReturnLines = (order, requested, now = new Date()) => {
+  if (order.status !== "Delivered") {
+    throw createError(400, "Only delivered orders can be returned.");
+  }
+  if (now - getDeliveredAt(order) > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    throw createError(400, `Orders can only be returned within ${RETURN_WINDOW_DAYS} days of delivery.`);
+  }
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw createError(400, "Items must be a non-empty array.");
+  }
+
+  const seen = new Set();
+  return requested.map((line) => {
+    const item = order.items.find((candidate) => candidate._id.toString() === String(line.item));
+    if (!item) {
+      throw createError(404, `Order item ${line.item} not found.`);
+    }
+    if (seen.has(String(line.item))) {
+      throw createError(400, `Order item ${line.item} appears more than once.`);
+    }
+    seen.add(String(line.item));
+
+    const returnable = returnableQuantity(item);
+    if (returnable < 1) {
+      throw createError(400, `Order item ${line.item} has nothing left to return.`);
+    }
+    const quantity = line.quantity === undefined ? returnable : Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+      throw createError(400, `Quantity for order item ${line.item} must be between 1 and ${returnable}.`);
+    }
+    return { item, quantity };
+  });
+};
+
+// Sets the units of `lines` aside on the order until they are received. The update only matches while the
+// order and its lines are as they were read, so two requests cannot return the same units.
+const reserveReturnedQuantities = (order, lines) => {
+  const filter = { _id: order._id, status: order.status, $and: [] };
+  const update = { $inc: {} };
+  const arrayFilters = [];
+  lines.forEach(({ item, quantity }, index) => {
+    filter.$and.push({
+      items: {
+        $elemMatch: { _id: item._id, returnRequestedQuantity: item.returnRequestedQuantity || { $in: [0, null] } },
+      },
+    });
+    update.$inc[`items.$[line${index}].returnRequestedQuantity`] = quantity;
+    arrayFilters.push({ [`line${index}._id`]: item._id });
+  });
+  return db.Order.findOneAndUpdate(filter, update, { arrayFilters, new: true });
+};
+
+// Return photos show the customer's order and are kept in the private storage, served by /api/returns.
+const PHOTO_STORAGE = { access: "private" };
+
+/**
+ * Opens a return request for `lines` of a delivered order. The photos are validated and stored first,
+ * then the units are set aside on the order so they cannot be returned twice. Resolves to the request.
+ */
+const openReturnRequest = async (order, lines, { reason, description, files = [], actor }) => {
+  if (!RETURN_REASONS.includes(reason)) {
+    throw createError(400, `Reason must be one of ${RETURN_REASONS.join(", ")}.`);
+  }
+  if (files.length === 0) {
+    throw createError(400, "Please attach at least one photo of the product.");
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  const photos = [];
+  try {
+    for (const file of files) {
+      const photo = await storeImage(`returns/${_id}`, file, PHOTO_STORAGE);
+      const url = `/api/returns/${_id}/photos/${photos.length}`;
+      photos.push({ ...photo, url, thumbnailUrl: `${url}/thumbnail` });
+    }
+    const updatedOrder = await reserveReturnedQuantities(order, lines);
+    if (!updatedOrder) {
+      throw createError(409, "Order was changed by another request.");
+    }
+  } catch (error) {
+    await Promise.all(photos.map((photo) => removeProductImage(photo, PHOTO_STORAGE)));
+    throw error;
+  }
+
+  return db.ReturnRequest.create({
+    _id,
+    order: order._id,
+    account: order.account._id || order.account,
+    lines: lines.map(({ item, quantity }) => {
+      const name = item.name || item.product.name;
+      return {
+        item: item._id,
+        product: item.product._id || item.product,
+        variant: item.variant,
+        name: item.variantName ? `${name} (${item.variantName})` : name,
+        quantity,
+      };
+    }),
+    reason,
+    description,
+    photos,
+    statusHistory: [{ status: "requested", changedBy: actor, changedAt: new Date() }],
+  });
+};
+
+/**
+ * Moves a return request to `status` and appends an entry to its status history. Like `transitionRefund`,
+ * the update only matches while the request is still in the status it was read in, otherwise it fails with 409.
+ */
+const transitionReturn = async (returnRequest, status, { changedBy, note, update = {} } = {}) => {
+  if (!(RETURN_TRANSITIONS[returnRequest.status] || []).includes(status)) {
+    throw createError(400, `Cannot change return status from ${returnRequest.status} to ${status}.`);
+  }
+
+  const updatedReturn = await db.ReturnRequest.findOneAndUpdate(
+    { _id: returnRequest._id, status: returnRequest.status },
+    {
+      $set: { ...update, status },
+      $push: { statusHistory: { from: returnRequest.status, status, changedBy, note, changedAt: new Date() } },
+    },
+    { new: true }
+  );
+  if (!updatedReturn) {
+    throw createError(409, "Return status was changed by another request.");
+  }
+  return updatedReturn;
+};
+
+// The order items of a return request's lines, `[{ item, quantity }]`.
+const orderLines = (order, returnRequest) =>
+  returnRequest.lines.map((line) => ({
+    item: order.items.find((item) => item._id.equals(line.item)),
+    quantity: line.quantity,
+  }));
+
+// Rejects a return request and gives its units back to the order lines so they can be returned again.
+const rejectReturn = async (returnRequest, { actor, note }) => {
+  const rejected = await transitionReturn(returnRequest, "rejected", { changedBy: actor, note });
+  const update = { $inc: {} };
+  const arrayFilters = [];
+  rejected.lines.forEach((line, index) => {
+    update.$inc[`items.$[line${index}].returnRequestedQuantity`] = -line.quantity;
+    arrayFilters.push({ [`line${index}._id`]: line.item });
+  });
+  await db.Order.updateOne({ _id: rejected.order }, update, { arrayFilters });
+  return rejected;
+};
+
+/**
+ * Records the goods of an approved return as received. `dispositions` maps order item IDs to "restock",
+ * which puts the units back in stock (batches last allocated first), or "write_off", which leaves stock as
+ * it is. A refund of what the customer paid for the units is created already approved, to be sent to VNPay
+ * by the caller. When every delivered unit has come back the order becomes Returned. When the refund or the
+ * order lines cannot be saved the return goes back to approved. Resolves to `{ returnRequest, refund }`.
+ */
+const receiveReturn = async (returnRequest, dispositions, { actor, note }) => {
+  const lines = returnRequest.lines.map((line) => {
+    const disposition = dispositions[line.item.toString()];
+    if (!RETURN_DISPOSITIONS.includes(disposition)) {
+      throw createError(
+        400,
+        `Disposition for order item ${line.item} must be one of ${RETURN_DISPOSITIONS.join(", ")}.`
+      );
+    }
+    return { ...line.toObject(), disposition };
+  });
+  const order = await db.Order.findById(returnRequest.order);
+  if (!order) {
+    throw createError(404, "Order not found");
+  }
+
+  const refundId = new mongoose.Types.ObjectId();
+  const received = await transitionReturn(returnRequest, "received", {
+    changedBy: actor,
+    note,
+    update: { lines, refund: refundId },
+  });
+
+  const items = orderLines(order, received);
+  const refundLines = items.map(({ item, quantity }, index) => {
+    const amount = paidAmount(order, item, quantity);
+    return {
+      item: item._id,
+      product: item.product,
+      name: lines[index].name,
+      quantity,
+      amount,
+      percent: 100,
+      refund: amount,
+      rule: "return",
+    };
+  });
+  // The units count as returned from here on, restocked ones also leave the batches of the line.
+  const lineUpdate = { $inc: {}, $set: {} };
+  const arrayFilters = [];
+  const restocks = [];
+  items.forEach(({ item, quantity }, index) => {
+    lineUpdate.$inc[`items.$[line${index}].returnRequestedQuantity`] = -quantity;
+    lineUpdate.$inc[`items.$[line${index}].returnedQuantity`] = quantity;
+    arrayFilters.push({ [`line${index}._id`]: item._id });
+    if (lines[index].disposition !== "restock") {
+      return;
+    }
+    const { released, kept } = splitBatches(item.batches, quantity);
+    lineUpdate.$set[`items.$[line${index}].batches`] = kept;
+    restocks.push({ product: item.product, variant: item.variant, quantity, batches: released });
+  });
+
+  // Until the refund and the order lines are saved the receipt can still be undone, so a failure leaves
+  // the return approved to be received again rather than received without a refund.
+  let refund;
+  let updatedOrder;
+  try {
+    refund = await db.Refund.create({
+      _id: refundId,
+      order: order._id,
+      account: order.account,
+      returnRequest: received._id,
+      lines: refundLines,
+      amount: refundLines.reduce((sum, line) => sum + line.refund, 0),
+      reason: received.description || received.reason,
+      status: "approved",
+      statusHistory: [{ status: "approved", changedBy: actor, note: "Returned goods received", changedAt: new Date() }],
+      createBy: actor,
+    });
+    updatedOrder = await db.Order.findOneAndUpdate({ _id: order._id }, lineUpdate, { arrayFilters, new: true });
+  } catch (error) {
+    await db.Refund.deleteOne({ _id: refundId });
+    await db.ReturnRequest.updateOne(
+      { _id: received._id, status: "received" },
+      {
+        $set: { status: returnRequest.status, lines: returnRequest.lines },
+        $unset: { refund: "" },
+        $pop: { statusHistory: 1 },
+      }
+    );
+    throw error;
+  }
+  if (restocks.length > 0) {
+    await releaseStock(restocks, { type: "return_restock", order: order._id, actor, reason: `Return ${received._id}` });
+  }
+
+  const everythingBack = updatedOrder.items.every(
+    (item) => item.quantity - (item.canceledQuantity || 0) - (item.returnedQuantity || 0) === 0
+  );
+  const openReturns = await db.ReturnRequest.exists({ order: order._id, status: { $in: OPEN_RETURN_STATUSES } });
+  if (everythingBack && !openReturns) {
+    try {
+      await transitionOrder(order._id, "Returned", { from: "Delivered", changedBy: actor, note: "All items returned" });
+    } catch (error) {
+      if (![400, 409].includes(error.status)) {
+        throw error;
+      }
+    }
+  }
+  return { returnRequest: received, refund };
+};
+
+module.exports = {
+  RETURN_REASONS,
+  RETURN_DISPOSITIONS,
+  RETURN_WINDOW_DAYS,
+  OPEN_RETURN_STATUSES,
+  PHOTO_STORAGE,
+  returnableQuantity,
+  resolveReturnLines,
+  openReturnRequest,
+  transitionReturn,
+  rejectReturn,
+  receiveReturn,
+};
@@ -0,0 +1,284 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { transitionOrder } = require("./orderStatus");
+const { releaseStock } = require("./stockReservation");
+const { paidAmount } = require("./refundPolicy");
+const { notifyRefund } = require("./refund");
+const { getCarrier } = require("./carriers");
+
+const DEFAULT_ITEM_WEIGHT_GRAMS = Number(process.env.DEFAULT_ITEM_WEIGHT_GRAMS) || 200;
+const RATE_FIELDS = ["baseFee", "baseWeight", "stepWeight", "stepFee", "freeShippingThreshold"];
+const SHIPMENT_STATUSES = ["ready_to_pick", "picked_up", "in_transit", "delivered", "failed", "returned", "canceled"];
+
+// Orders ship once the shop has packed them.
+const SHIPPABLE_STATUSES = ["Packing"];
+
+// The order status a carrier update moves the order to, when the move is allowed from where the order is.
+const ORDER_STATUS_BY_SHIPMENT = {
+  picked_up: "Shipping",
+  in_transit: "Shipping",
+  delivered: "Delivered",
+  failed: "Returned",
+  returned: "Returned",
+};
+
+// Carrier updates for goods that never reached the customer and go back to the shop.
+const UNDELIVERED_STATUSES = ["failed", "returned"];
+
+// The saved policy, or the schema defaults until an admin saves one.
+const getShippingPolicy = async () => (await db.ShippingPolicy.findOne()) || new db.ShippingPolicy();
+
+// "Thành phố Hồ Chí Minh", "TP. Hồ Chí Minh" and "hồ chí minh" all name the same province.
+const normalizeProvince = (name) =>
+  String(name || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/^(thành phố|tỉnh|tp\.?)\s+/, "")
+    .trim();
+
+const findZone = (policy, { province, provinceCode }) => {
+  const name = normalizeProvince(province);
+  return policy.zones.find((zone) =>
+    zone.provinces.some((entry) => (provinceCode && entry === provinceCode) || normalizeProvince(entry) === name)
+  );
+};
+
+const itemWeight = (product, variant) => variant?.weight ?? product.weight ?? DEFAULT_ITEM_WEIGHT_GRAMS;
+
+const calculateFee = (rate, weight) =>
+  rate.baseFee + Math.ceil(Math.max(0, weight - rate.baseWeight) / rate.stepWeight) * rate.stepFee;
+
+/**
+ * Prices the shipment of `lines`, `[{ product, variant, quantity }]` with product and variant documents, to
+ * `address`. Orders whose `orderValue` reaches the free-shipping threshold of the rate, or with a
+ * free-shipping promotion, ship free. Resolves to `{ fee, weight, zone, freeShippingThreshold }`.
+ */
+const quoteShipping = async (address, lines, { orderValue, freeShipping = false, policy } = {}) => {
+  const shippingPolicy = policy || (await getShippingPolicy());
+  const zone = findZone(shippingPolicy, address);
+  const rate = zone || shippingPolicy.defaultRate;
+  const weight = lines.reduce(
+    (sum, { product, variant, quantity }) => sum + itemWeight(product, variant) * quantity,
+    0
+  );
+  const freeShippingThreshold = rate.freeShippingThreshold || 0;
+
+  const isFree = freeShipping || (freeShippingThreshold > 0 && orderValue >= freeShippingThreshold);
+  return {
+    fee: isFree ? 0 : calculateFee(rate, weight),
+    weight,
+    zone: zone?.name || "default",
+    freeShippingThreshold,
+  };
+};
+
+const isNonNegative = (value) => value !== "" && value !== null && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+const validateRate = (input, label) => {
+  if (!input || typeof input !== "object") {
+    throw createError(400, `${label} must be an object.`);
+  }
+  const rate = {};
+  for (const field of RATE_FIELDS) {
+    const value = input[field] ?? (field === "freeShippingThreshold" ? 0 : undefined);
+    if (!isNonNegative(value)) {
+      throw createError(400, `${label}: ${field} must be a number of 0 or more.`);
+    }
+    if (field === "stepWeight" && Number(value) < 1) {
+      throw createError(400, `${label}: stepWeight must be at least 1 gram.`);
+    }
+    rate[field] = Number(value);
+  }
+  return rate;
+};
+
+// Checks a shipping policy update and returns the fields to save.
+const validateShippingPolicy = (input) => {
+  const update = {};
+  if (input.defaultRate !== undefined) {
+    update.defaultRate = validateRate(input.defaultRate, "Default rate");
+  }
+  if (input.zones !== undefined) {
+    if (!Array.isArray(input.zones)) {
+      throw createError(400, "Zones must be an array.");
+    }
+    const seen = new Set();
+    update.zones = input.zones.map((zone, index) => {
+      if (!zone?.name || !Array.isArray(zone.provinces) || zone.provinces.length === 0) {
+        throw createError(400, `Zone ${index + 1} needs a name and a list of provinces.`);
+      }
+      const provinces = zone.provinces.map((province) => String(province).trim());
+      const repeated = provinces.find((province) => seen.has(normalizeProvince(province)));
+      if (repeated) {
+        throw createError(400, `${repeated} is in more than one zone.`);
+      }
+      provinces.forEach((province) => seen.add(normalizeProvince(province)));
+      return { name: String(zone.name).trim(), provinces, ...validateRate(zone, `Zone ${zone.name}`) };
+    });
+  }
+  return update;
+};
+
+/**
+ * Books the shipment of a packed order with the carrier and stores its tracking number. The update only
+ * matches while the order has no shipment and is still packed, so an order is never booked twice.
+ */
+const createShipment = async (order, { carrier: carrierName } = {}) => {
+  if (!SHIPPABLE_STATUSES.includes(order.status)) {
+    throw createError(400, `Only orders in ${SHIPPABLE_STATUSES.join(", ")} can be shipped.`);
+  }
+  if (order.shipping?.trackingNumber && order.shipping.status !== "canceled") {
+    throw createError(409, "The order already has a shipment.");
+  }
+
+  const carrier = getCarrier(carrierName);
+  const shipment = await carrier.createShipment(order);
+  const updatedOrder = await db.Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      status: order.status,
+      "shipping.trackingNumber": order.shipping?.trackingNumber || { $exists: false },
+    },
+    {
+      $set: {
+        "shipping.carrier": carrier.name,
+        "shipping.trackingNumber": shipment.trackingNumber,
+        "shipping.status": "ready_to_pick",
+        "shipping.expectedDeliveryAt": shipment.expectedDeliveryAt,
+      },
+      $push: { "shipping.history": { status: "ready_to_pick", occurredAt: new Date() } },
+    },
+    { new: true }
+  );
+  if (!updatedOrder) {
+    await carrier.cancelShipment(shipment.trackingNumber);
+    throw createError(409, "Order was changed by another request.");
+  }
+  return updatedOrder;
+};
+
+// Cancels the carrier shipment of an order that will not ship after all, if it has one that has not left.
+const cancelShipment = async (order) => {
+  if (!order.shipping?.trackingNumber || order.shipping.status !== "ready_to_pick") {
+    return order;
+  }
+  await getCarrier(order.shipping.carrier).cancelShipment(order.shipping.trackingNumber);
+  return db.Order.findOneAndUpdate(
+    { _id: order._id, "shipping.trackingNumber": order.shipping.trackingNumber },
+    {
+      $set: { "shipping.status": "canceled" },
+      $push: { "shipping.history": { status: "canceled", note: "Order canceled", occurredAt: new Date() } },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Takes back a shipping order the carrier could not deliver: the order becomes Returned, the units left in
+ * it go back to stock (to the batches they were taken from) and a refund of everything the customer paid,
+ * shipping fee included, is created already approved for a manager to send. The move only matches while
+ * the order is shipping, so a second update about the same shipment cannot restock it twice.
+ * Resolves to the order.
+ */
+const returnUndeliveredOrder = async (order, note) => {
+  const returnedOrder = await transitionOrder(order._id, "Returned", {
+    from: "Shipping",
+    note,
+    update: { "items.$[].batches": [] },
+  });
+  await releaseStock(order.items, { type: "return_restock", order: order._id, reason: note });
+
+  const refundLines = order.items
+    .filter((item) => item.quantity - (item.canceledQuantity || 0) > 0)
+    .map((item) => {
+      const quantity = item.quantity - (item.canceledQuantity || 0);
+      const amount = paidAmount(order, item, quantity);
+      return {
+        item: item._id,
+        product: item.product,
+        name: item.variantName ? `${item.name} (${item.variantName})` : item.name,
+        quantity,
+        amount,
+        percent: 100,
+        refund: amount,
+        rule: "return",
+      };
+    });
+  const shippingFee = order.pricing?.shippingFee || 0;
+  const refund = await db.Refund.create({
+    order: order._id,
+    account: order.account,
+    lines: refundLines,
+    shippingFee,
+    amount: refundLines.reduce((sum, line) => sum + line.refund, shippingFee),
+    reason: note,
+    status: "approved",
+    statusHistory: [{ status: "approved", note: "Shipment not delivered", changedAt: new Date() }],
+  });
+  notifyRefund(refund);
+  return returnedOrder;
+};
+
+/**
+ * Applies a status update a carrier posted to its webhook: records it in the tracking history and moves the
+ * order along (picked up → Shipping, delivered → Delivered, failed or returned → Returned, with the goods
+ * restocked and refunded). Repeated deliveries of the same update are ignored. An update the order cannot
+ * follow any more, e.g. delivered after a cancellation, is kept in the history and logged for staff.
+ * Resolves to the order.
+ */
+const applyCarrierUpdate = async (carrierName, { trackingNumber, status, note, occurredAt }) => {
+  if (!trackingNumber || !SHIPMENT_STATUSES.includes(status)) {
+    throw createError(400, `A tracking number and a status of ${SHIPMENT_STATUSES.join(", ")} are required.`);
+  }
+  if (isNaN(occurredAt)) {
+    throw createError(400, "occurredAt must be a valid date.");
+  }
+
+  const order = await db.Order.findOne({ "shipping.carrier": carrierName, "shipping.trackingNumber": trackingNumber });
+  if (!order) {
+    throw createError(404, "Shipment not found");
+  }
+  const known = order.shipping.history.some(
+    (entry) => entry.status === status && entry.occurredAt.getTime() === occurredAt.getTime()
+  );
+  if (known) {
+    return order;
+  }
+
+  let updatedOrder = await db.Order.findOneAndUpdate(
+    { _id: order._id, "shipping.trackingNumber": trackingNumber },
+    {
+      $set: { "shipping.status": status },
+      $push: { "shipping.history": { status, note, occurredAt } },
+    },
+    { new: true }
+  );
+
+  const orderStatus = ORDER_STATUS_BY_SHIPMENT[status];
+  if (orderStatus && orderStatus !== updatedOrder.status) {
+    const statusNote = `${carrierName}: ${status}${note ? ` (${note})` : ""}`;
+    try {
+      updatedOrder = UNDELIVERED_STATUSES.includes(status)
+        ? await returnUndeliveredOrder(updatedOrder, statusNote)
+        : await transitionOrder(order._id, orderStatus, { note: statusNote });
+    } catch (error) {
+      if (![400, 409].includes(error.status)) {
+        throw error;
+      }
+      console.error(`Carrier update "${status}" of order ${order._id} was not applied:`, error.message);
+    }
+  }
+  return updatedOrder;
+};
+
+module.exports = {
+  DEFAULT_ITEM_WEIGHT_GRAMS,
+  SHIPMENT_STATUSES,
+  getShippingPolicy,
+  itemWeight,
+  quoteShipping,
+  validateShippingPolicy,
+  createShipment,
+  cancelShipment,
+  applyCarrierUpdate,
+};
@@ -0,0 +1,186 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { findVariant } = require("./productVariant");
+const { applyStockChange, recordMovements } = require("./inventory");
+
+const EXPIRY_SWEEP_INTERVAL_MS = Number(process.env.BATCH_EXPIRY_SWEEP_INTERVAL_MS) || 60 * 60 * 1000;
+const TAKE_OFF_ATTEMPTS = 3;
+
+// Throws a 400 error when received goods cannot be recorded as the given batch.
+const checkBatchInput = async ({ product, variant, batchNumber, manufacturedAt, expiresAt }) => {
+  if (!batchNumber) {
+    throw createError(400, "A batch number is required for goods with an expiry date.");
+  }
+  const expiry = new Date(expiresAt);
+  if (isNaN(expiry) || expiry <= new Date()) {
+    throw createError(400, `Batch ${batchNumber} must have an expiry date in the future.`);
+  }
+  if (manufacturedAt && !(new Date(manufacturedAt) < expiry)) {
+    throw createError(400, `Batch ${batchNumber} must be manufactured before it expires.`);
+  }
+  const existing = await db.StockBatch.findOne({ product, variant: variant || null, batchNumber });
+  if (existing && existing.expiresAt.getTime() !== expiry.getTime()) {
+    throw createError(400, `Batch ${batchNumber} is already recorded with another expiry date.`);
+  }
+};
+
+// Adds received goods to their batch, creating it on first receipt. Check the input with `checkBatchInput`.
+const receiveBatch = ({ product, variant, batchNumber, manufacturedAt, expiresAt, quantity, supplier }) =>
+  db.StockBatch.findOneAndUpdate(
+    { product, variant: variant || null, batchNumber },
+    {
+      $inc: { quantity, receivedQuantity: quantity },
+      $setOnInsert: { manufacturedAt, expiresAt: new Date(expiresAt), supplier },
+    },
+    { upsert: true, new: true }
+  );
+
+/**
+ * Takes `quantity` units from the unexpired batches of a product or variant, earliest expiry first (FEFO),
+ * and returns the allocations `{ batch, quantity }`. Whatever the batches do not cover comes from untracked
+ * stock and is not part of the allocations.
+ */
+const allocateBatches = async (product, variant, quantity) => {
+  const allocations = [];
+  let remaining = quantity;
+
+  while (remaining > 0) {
+    const batch = await db.StockBatch.findOne({
+      product,
+      variant: variant || null,
+      status: "active",
+      quantity: { $gt: 0 },
+      expiresAt: { $gt: new Date() },
+    }).sort({ expiresAt: 1, _id: 1 });
+    if (!batch) {
+      break;
+    }
+
+    const take = Math.min(batch.quantity, remaining);
+    const taken = await db.StockBatch.findOneAndUpdate(
+      { _id: batch._id, quantity: { $gte: take } },
+      { $inc: { quantity: -take } }
+    );
+    // Another order took from the batch in between; look again.
+    if (taken) {
+      allocations.push({ batch: batch._id, quantity: take });
+      remaining -= take;
+    }
+  }
+
+  return allocations;
+};
+
+// Gives allocated units back to their batches. Units returned to a batch that has expired meanwhile
+// are taken off sale again by the next `expireBatches`.
+const restoreBatches = async (allocations = []) => {
+  for (const allocation of allocations) {
+    await db.StockBatch.updateOne({ _id: allocation.batch }, { $inc: { quantity: allocation.quantity } });
+  }
+};
+
+/**
+ * Takes the units that left the stock without a batch of their own, the decreases among `changes`
+ * (`{ product, variant, quantity }`), out of the batches earliest expiry first like a sale, so the batches
+ * never hold more than the product (or variant). Resolves to the allocations taken.
+ */
+const takeFromBatches = async (changes) => {
+  const allocations = [];
+  for (const { product, variant, quantity } of changes) {
+    if (quantity < 0) {
+      allocations.push(...(await allocateBatches(product, variant, -quantity)));
+    }
+  }
+  return allocations;
+};
+
+// Splits allocations into the last `quantity` units allocated, which are given back first, and the rest.
+const splitBatches = (allocations = [], quantity) => {
+  const kept = allocations.map((allocation) => ({ batch: allocation.batch, quantity: allocation.quantity }));
+  const released = [];
+  let remaining = quantity;
+  for (let index = kept.length - 1; index >= 0 && remaining > 0; index--) {
+    const take = Math.min(kept[index].quantity, remaining);
+    released.push({ batch: kept[index].batch, quantity: take });
+    kept[index].quantity -= take;
+    remaining -= take;
+  }
+  return { released, kept: kept.filter((allocation) => allocation.quantity > 0) };
+};
+
+// Lowers the product (or variant) stock by up to `quantity`, never below zero.
+const takeOffStock = async (product, variant, quantity) => {
+  let amount = quantity;
+  for (let attempt = 0; attempt < TAKE_OFF_ATTEMPTS && amount > 0; attempt++) {
+    const change = await applyStockChange({ product, variant, quantity: -amount });
+    if (change) {
+      return change;
+    }
+    const current = await db.Product.findById(product);
+    const currentVariant = current && findVariant(current, variant);
+    amount = Math.min(amount, (currentVariant ? currentVariant.quantity : current?.quantity) || 0);
+  }
+  return null;
+};
+
+/**
+ * Blocks expired batches from sale: what is left of each batch past its expiry date is moved to
+ * `expiredQuantity` and removed from the product stock as a write-off. `filter` narrows the batches,
+ * e.g. to the products of an order about to be placed. Resolves to the number of batches expired.
+ */
+const expireBatches = async (filter = {}) => {
+  const batches = await db.StockBatch.find({ ...filter, expiresAt: { $lte: new Date() }, quantity: { $gt: 0 } });
+  let expired = 0;
+
+  for (const batch of batches) {
+    // Conditional on the quantity read so units allocated or restored in between are not lost.
+    const emptied = await db.StockBatch.findOneAndUpdate(
+      { _id: batch._id, quantity: batch.quantity },
+      { $set: { quantity: 0, status: "expired" }, $inc: { expiredQuantity: batch.quantity } }
+    );
+    if (!emptied) {
+      continue;
+    }
+
+    const change = await takeOffStock(batch.product, batch.variant, batch.quantity);
+    if (change) {
+      await recordMovements([
+        {
+          ...change,
+          type: "write_off",
+          reason: `Batch ${batch.batchNumber} expired`,
+          batch: batch.batchNumber,
+          stockBatch: batch._id,
+        },
+      ]);
+    }
+    expired += 1;
+  }
+
+  return expired;
+};
+
+const startBatchExpirySweeper = () => {
+  const timer = setInterval(() => {
+    expireBatches()
+      .then((expired) => {
+        if (expired > 0) {
+          console.log(`Took ${expired} expired batch(es) off sale`);
+        }
+      })
+      .catch((error) => console.error("Error expiring batches:", error));
+  }, EXPIRY_SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  checkBatchInput,
+  receiveBatch,
+  allocateBatches,
+  restoreBatches,
+  takeFromBatches,
+  splitBatches,
+  expireBatches,
+  startBatchExpirySweeper,
+};
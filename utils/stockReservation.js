@@ -0,0 +1,217 @@
+const createError = require("http-errors");
+const db = require("../models/index");
+const { transitionOrder } = require("./orderStatus");
+const { releasePromotion } = require("./promotion");
+const { findVariant, getUnitPrice, describeVariant } = require("./productVariant");
+const { recordMovements, notifyLowStock, applyStockChange } = require("./inventory");
+const { allocateBatches, restoreBatches, expireBatches } = require("./stockBatch");
+
+const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 15;
+const SWEEP_INTERVAL_MS = Number(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+const getReservationExpiry = (from = new Date()) => new Date(from.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+// Adds the quantities of `items` back, including to the batches they were allocated from, and returns
+// the resulting stock changes without touching the ledger. Units of order items the customer already
+// canceled were given back then and are skipped.
+const incrementStock = async (items) => {
+  const movements = [];
+  for (const item of items) {
+    const quantity = item.quantity - (item.canceledQuantity || 0);
+    if (quantity <= 0) {
+      continue;
+    }
+    const change = await applyStockChange({
+      product: item.product._id || item.product,
+      variant: item.variant,
+      quantity,
+    });
+    await restoreBatches(item.batches);
+    if (change) {
+      movements.push(change);
+    }
+  }
+  return movements;
+};
+
+// Puts the stock of `items` back and records it in the inventory ledger.
+const releaseStock = async (items, { type = "cancel_restock", order, actor, reason } = {}) => {
+  const movements = await incrementStock(items);
+  await recordMovements(movements.map((movement) => ({ ...movement, type, order, actor, reason })));
+};
+
+const stockError = async (item) => {
+  const product = await db.Product.findById(item.product);
+  if (!product) {
+    return createError(404, `Product with ID ${item.product} not found.`);
+  }
+  if (product.isDeleted) {
+    return createError(400, `${product.name} is no longer available.`);
+  }
+  if (!item.variant) {
+    return product.variants.length > 0
+      ? createError(400, `Please choose a variant of ${product.name}.`)
+      : createError(
+          400,
+          `Not enough stock for ${product.name}. Available: ${product.quantity}, Requested: ${item.quantity}`
+        );
+  }
+
+  const variant = findVariant(product, item.variant);
+  if (!variant || !variant.isActive) {
+    return createError(404, `Variant ${item.variant} of ${product.name} not found.`);
+  }
+  const name = `${product.name} (${describeVariant(variant)})`;
+  return createError(400, `Not enough stock for ${name}. Available: ${variant.quantity}, Requested: ${item.quantity}`);
+};
+
+// Order lines come from the request body or the saved cart. Only whole, positive quantities can be
+// reserved: a negative one would match any stock level and add to it.
+const checkOrderItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw createError(400, "Items must be a non-empty array.");
+  }
+  const invalid = items.find((item) => !item?.product || !Number.isInteger(item.quantity) || item.quantity < 1);
+  if (invalid) {
+    throw createError(400, `Quantity for product ${invalid?.product} must be a whole number of at least 1.`);
+  }
+};
+
+// Each decrement only matches while enough stock is left, so two buyers can never take the same unit.
+// Variant lines decrement the variant and the product total together. If any item fails, everything
+// reserved so far in this call is put back before the error is thrown.
+// Expired batches are taken off sale first, then each line is allocated to batches FEFO.
+// The sale is recorded in the inventory ledger against `order` and managers are alerted about lines that
+// drop below their low-stock threshold.
+// Resolves to `{ product, variant, quantity, price, batches }` lines priced at the time of reservation.
+const reserveStock = async (items, { order, actor } = {}) => {
+  checkOrderItems(items);
+  const reserved = [];
+  await expireBatches({ product: { $in: items.map((item) => item.product) } });
+
+  for (const item of items) {
+    const filter = { _id: item.product, isDeleted: { $ne: true } };
+    const increment = { quantity: -item.quantity };
+    if (item.variant) {
+      filter.variants = { $elemMatch: { _id: item.variant, isActive: true, quantity: { $gte: item.quantity } } };
+      increment["variants.$.quantity"] = -item.quantity;
+    } else {
+      filter.quantity = { $gte: item.quantity };
+      filter["variants.0"] = { $exists: false };
+    }
+
+    const product = await db.Product.findOneAndUpdate(filter, { $inc: increment }, { new: true });
+
+    if (!product) {
+      await incrementStock(
+        reserved.map(({ product, variant, quantity, batches }) => ({
+          product,
+          variant: variant?._id,
+          quantity,
+          batches,
+        }))
+      );
+      throw await stockError(item);
+    }
+
+    const variant = findVariant(product, item.variant);
+    const batches = await allocateBatches(product._id, variant?._id, item.quantity);
+    reserved.push({ product, variant, quantity: item.quantity, price: getUnitPrice(product, variant), batches });
+  }
+
+  const movements = reserved.map(({ product, variant, quantity }) => ({
+    product: product._id,
+    variant: variant?._id,
+    type: "sale",
+    quantity: -quantity,
+    balance: variant ? variant.quantity : product.quantity,
+    order,
+    actor,
+  }));
+  await recordMovements(movements);
+  notifyLowStock(
+    movements,
+    reserved.map(({ product }) => product)
+  );
+
+  return reserved;
+};
+
+// Gives back the stock and promotion usage of an expired order once it is canceled. The pending flag is
+// cleared first so another instance cannot release the same order, and set again when the release fails
+// so the next sweep retries it. Resolves to whether this call released the order.
+const releaseCanceledReservation = async (orderId) => {
+  const order = await db.Order.findOneAndUpdate(
+    { _id: orderId, status: "Canceled", stockReleasePending: true },
+    { $unset: { stockReleasePending: "" } },
+    { new: true }
+  );
+  if (!order) {
+    return false;
+  }
+  try {
+    await releaseStock(order.items, { order: order._id, reason: "Payment window expired" });
+    await releasePromotion(order);
+  } catch (error) {
+    await db.Order.updateOne({ _id: order._id }, { $set: { stockReleasePending: true } });
+    throw error;
+  }
+  return true;
+};
+
+// Cancels unpaid orders whose payment window has passed and gives back their stock and promotion usage.
+// The status check is part of the update so an order paid at the last second, or already swept by
+// another instance, is left alone. The cancellation marks the stock as still to be released, so orders
+// whose release failed are picked up again by the next sweep. A failing order is logged and skipped.
+const releaseExpiredReservations = async () => {
+  const expiredOrders = await db.Order.find({
+    $or: [
+      { status: "Pending", reservationExpiresAt: { $lte: new Date() } },
+      { status: "Canceled", stockReleasePending: true },
+    ],
+  }).select("status");
+  let released = 0;
+
+  for (const expiredOrder of expiredOrders) {
+    try {
+      if (expiredOrder.status === "Pending") {
+        await transitionOrder(expiredOrder._id, "Canceled", {
+          from: "Pending",
+          note: "Payment window expired",
+          update: { stockReleasePending: true },
+        });
+      }
+      if (await releaseCanceledReservation(expiredOrder._id)) {
+        released += 1;
+      }
+    } catch (error) {
+      if (error.status !== 409) {
+        console.error(`Error releasing the reservation of order ${expiredOrder._id}:`, error);
+      }
+    }
+  }
+
+  return released;
+};
+
+const startReservationSweeper = () => {
+  const timer = setInterval(() => {
+    releaseExpiredReservations()
+      .then((released) => {
+        if (released > 0) {
+          console.log(`Released stock of ${released} expired order(s)`);
+        }
+      })
+      .catch((error) => console.error("Error releasing expired reservations:", error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getReservationExpiry,
+  reserveStock,
+  releaseStock,
+  releaseExpiredReservations,
+  startReservationSweeper,
+};
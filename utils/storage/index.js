@@ -0,0 +1,26 @@
+const createLocalStorage = require("./localStorage");
+
+/**
+ * Storage adapters expose `save(buffer, key) -> { key, url }`, `read(key) -> Buffer` and `remove(key)`.
+ * Public storage hands out URLs anyone can load; private storage has no URL and its files are only served
+ * through routes that check who asks. Add another driver here (e.g. S3 or Firebase Storage) and select it
+ * with STORAGE_DRIVER.
+ */
+const drivers = {
+  local: createLocalStorage,
+};
+
+const storages = {};
+
+const getStorage = ({ access = "public" } = {}) => {
+  if (!storages[access]) {
+    const driver = process.env.STORAGE_DRIVER || "local";
+    if (!drivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    storages[access] = drivers[driver]({ access });
+  }
+  return storages[access];
+};
+
+module.exports = { getStorage };
@@ -0,0 +1,31 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const PUBLIC_DIR = path.join(__dirname, "../../public");
+const PRIVATE_DIR = path.join(__dirname, "../../private");
+
+// Stores public files under public/, which app.js already serves statically, and private ones under
+// private/, which is not served at all.
+const createLocalStorage = ({ directory = "uploads", access = "public" } = {}) => {
+  const isPublic = access === "public";
+  const root = path.join(isPublic ? PUBLIC_DIR : PRIVATE_DIR, directory);
+
+  return {
+    async save(buffer, key) {
+      const filePath = path.join(root, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key, url: isPublic ? `/${directory}/${key}` : undefined };
+    },
+
+    read(key) {
+      return fs.readFile(path.join(root, key));
+    },
+
+    async remove(key) {
+      await fs.rm(path.join(root, key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -139,6 +139,10 @@ const options = {
               type: "string",
               description: "The name of the product",
             },
+            sku: {
+              type: "string",
+              description: "The unique SKU used to match the product in bulk imports",
+            },
             description: {
               type: "string",
               description: "A description of the product",
@@ -149,7 +153,23 @@ const options = {
             },
             image: {
               type: "string",
-              description: "The image URL of the product",
+              description: "The URL of the primary image of the product",
+            },
+            images: {
+              type: "array",
+              description: "The gallery of the product, in display order",
+              items: {
+                type: "object",
+                properties: {
+                  _id: { type: "string" },
+                  url: { type: "string" },
+                  thumbnailUrl: { type: "string" },
+                  alt: { type: "string" },
+                  isPrimary: { type: "boolean" },
+                  width: { type: "number" },
+                  height: { type: "number" },
+                },
+              },
             },
             suitableSkin: {
               type: "string",
@@ -163,6 +183,48 @@ const options = {
               type: "string",
               description: "The ID of the brand for the product",
             },
+            ingredients: {
+              type: "array",
+              items: { type: "string" },
+              description: "The IDs of the ingredients of the product, in INCI order",
+            },
+            lowStockThreshold: {
+              type: "number",
+              description: "The stock level at or below which the product is reported as low stock",
+            },
+            weight: {
+              type: "number",
+              description: "Grams per unit, used for the shipping fee",
+            },
+            variants: {
+              type: "array",
+              description: "The sizes/shades of the product, each with its own SKU, price and stock",
+              items: {
+                type: "object",
+                properties: {
+                  _id: { type: "string" },
+                  sku: { type: "string" },
+                  attributes: {
+                    type: "object",
+                    properties: {
+                      size: { type: "string" },
+                      volume: { type: "string" },
+                      shade: { type: "string" },
+                    },
+                  },
+                  price: { type: "number" },
+                  quantity: { type: "number" },
+                  image: { type: "string" },
+                  weight: { type: "number" },
+                  isActive: { type: "boolean" },
+                },
+              },
+            },
+            priceChanges: {
+              type: "array",
+              description: "Scheduled prices and sales that have not taken effect or ended yet",
+              items: { $ref: "#/components/schemas/PriceChange" },
+            },
             createBy: {
               type: "string",
               description: "The ID of the user who created the product",
@@ -283,6 +345,10 @@ const options = {
                     type: "string",
                     description: "The description of the step",
                   },
+                  product: {
+                    type: "string",
+                    description: "The ID of the product used in the step, if any",
+                  },
                 },
               },
             },
@@ -341,48 +407,174 @@ const options = {
               type: "string",
               description: "Unique identifier for the promotion",
             },
-            name: {
+            code: {
               type: "string",
-              description: "The name of the promotion",
+              description: "The unique code customers enter at checkout",
             },
-            description: {
+            type: {
               type: "string",
-              description: "The description of the promotion",
+              enum: ["percentage", "fixed", "free_shipping"],
+              description: "How the discount is applied",
             },
             discount: {
               type: "number",
-              description: "The discount value of the promotion",
+              description: "The discount in percent, or the amount off for fixed promotions",
+            },
+            minOrderValue: {
+              type: "number",
+              description: "The minimum order subtotal the code applies to",
+            },
+            maxDiscount: {
+              type: "number",
+              description: "The maximum amount a percentage promotion can take off",
+            },
+            applicableProducts: {
+              type: "array",
+              items: { type: "string" },
+              description: "The products the promotion is limited to (empty: all)",
             },
-            startDate: {
+            applicableBrands: {
+              type: "array",
+              items: { type: "string" },
+              description: "The brands the promotion is limited to (empty: all)",
+            },
+            applicableCategories: {
+              type: "array",
+              items: { type: "string" },
+              description: "The categories the promotion is limited to (empty: all)",
+            },
+            applicableSkins: {
+              type: "array",
+              items: { type: "string" },
+              description: "The skin types the promotion is limited to (empty: all)",
+            },
+            startAt: {
               type: "string",
               format: "date-time",
-              description: "The start date of the promotion",
+              description: "The date the promotion starts",
             },
-            endDate: {
+            expiredAt: {
               type: "string",
               format: "date-time",
-              description: "The end date of the promotion",
+              description: "The date the promotion expires",
             },
             status: {
               type: "boolean",
               description: "The status of the promotion (true: active, false: inactive)",
             },
+            usageLimit: {
+              type: "number",
+              description: "The maximum number of orders the code can be used on",
+            },
+            perCustomerLimit: {
+              type: "number",
+              description: "The maximum number of orders each customer can use the code on",
+            },
+            usedCount: {
+              type: "number",
+              description: "The number of orders the code has been used on",
+            },
             createBy: {
               type: "string",
               description: "The ID of the user who created the promotion",
             },
-            createdAt: {
+          },
+          required: ["code", "discount", "expiredAt"],
+        },
+        Ingredient: {
+          type: "object",
+          properties: {
+            _id: {
               type: "string",
-              format: "date-time",
-              description: "Timestamp when the promotion was created",
+              description: "Unique identifier for the ingredient",
             },
-            updatedAt: {
+            inciName: {
               type: "string",
-              format: "date-time",
-              description: "Timestamp when the promotion was last updated",
+              description: "The INCI name of the ingredient",
+            },
+            commonName: {
+              type: "string",
+              description: "The name customers usually know the ingredient by",
+            },
+            aliases: {
+              type: "array",
+              items: { type: "string" },
+              description: "Other names of the ingredient",
+            },
+            functions: {
+              type: "array",
+              items: { type: "string" },
+              description: "What the ingredient does in a formula, e.g. humectant or preservative",
+            },
+            description: {
+              type: "string",
+              description: "A description of the ingredient",
+            },
+            allergens: {
+              type: "array",
+              items: {
+                type: "string",
+                enum: [
+                  "fragrance",
+                  "alcohol",
+                  "essential_oil",
+                  "paraben",
+                  "sulfate",
+                  "silicone",
+                  "formaldehyde_releaser",
+                  "lanolin",
+                  "nut",
+                ],
+              },
+              description: "The common allergen/sensitivity flags of the ingredient",
+            },
+            status: {
+              type: "boolean",
+              description: "The status of the ingredient (true: active, false: inactive)",
+            },
+          },
+          required: ["inciName"],
+        },
+        ConflictRule: {
+          type: "object",
+          properties: {
+            _id: {
+              type: "string",
+              description: "Unique identifier for the rule",
+            },
+            name: {
+              type: "string",
+              description: "A short name of the conflicting combination",
+            },
+            ingredientsA: {
+              type: "array",
+              items: { type: "string" },
+              description: "The IDs of the ingredients of the first group",
+            },
+            ingredientsB: {
+              type: "array",
+              items: { type: "string" },
+              description: "The IDs of the ingredients that conflict with the first group",
+            },
+            severity: {
+              type: "string",
+              enum: ["low", "medium", "high"],
+              description: "How serious the conflict is",
+            },
+            explanation: {
+              type: "string",
+              description: "Why the ingredients should not be combined",
+            },
+            recommendation: {
+              type: "string",
+              description: "How to use the products together safely",
+            },
+            status: {
+              type: "boolean",
+              description: "The status of the rule (true: active, false: inactive)",
             },
           },
-          required: ["name", "description", "discount", "startDate", "endDate", "createBy"],
+          required: ["name", "ingredientsA", "ingredientsB", "explanation"],
         },
       },
     },
@@ -406,6 +598,15 @@ const options = {
     "./routes/routineRoute.js",
     "./routes/quizRoute.js",
     "./routes/promotionRoute.js",
+    "./routes/cartRoute.js",
+    "./routes/ingredientRoute.js",
+    "./routes/conflictRoute.js",
+    "./routes/inventoryRoute.js",
+    "./routes/refundPolicyRoute.js",
+    "./routes/refundRoute.js",
+    "./routes/returnRoute.js",
+    "./routes/addressRoute.js",
+    "./routes/shippingRoute.js",
   ],
 };
 
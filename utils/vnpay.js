@@ -0,0 +1,53 @@
+const crypto = require("crypto");
+const { VNPay, ignoreLogger } = require("vnpay");
+
+// Falls back to the shared sandbox merchant so local setups keep working without extra env vars.
+// To exercise refunds offline, run `bin/vnpay-stub 8090` and start the app with VNPAY_HOST=http://localhost:8090:
+// the stub answers the refund and querydr calls posted to {VNPAY_HOST}/merchant_webapi/api/transaction.
+// `bin/vnpay-signer` signs return and IPN queries with the configured secret.
+const tmnCode = process.env.VNPAY_TMN_CODE || "9TKDVWYK";
+const secureSecret = process.env.VNPAY_SECURE_SECRET || "LH6SD44ECTBWU1PHK3D2YCOI5HLUWGPH";
+
+const vnpay = new VNPay({
+  tmnCode,
+  secureSecret,
+  vnpayHost: process.env.VNPAY_HOST || "https://sandbox.vnpayment.vn",
+  // testMode forces the sandbox host, so it has to stay off for VNPAY_HOST to take effect.
+  testMode: !process.env.VNPAY_HOST && process.env.VNPAY_TEST_MODE !== "false",
+  hashAlgorithm: "SHA512",
+  enableLog: true,
+  loggerFn: ignoreLogger,
+});
+
+const getReturnUrl = (req) =>
+  process.env.VNPAY_RETURN_URL || `${req.protocol}://${req.get("host")}/api/order/vnpay-return`;
+
+// VNPay signs the query sorted by key, without empty values and without the hash fields themselves.
+const hashParams = (params) => {
+  const searchParams = new URLSearchParams();
+  Object.keys(params)
+    .filter((key) => !["vnp_SecureHash", "vnp_SecureHashType"].includes(key))
+    .filter((key) => params[key] !== "" && params[key] !== undefined && params[key] !== null)
+    .sort((a, b) => a.localeCompare(b))
+    .forEach((key) => searchParams.append(key, String(params[key])));
+  return crypto.createHmac("sha512", secureSecret).update(Buffer.from(searchParams.toString(), "utf-8")).digest("hex");
+};
+
+// Adds the `vnp_SecureHash` VNPay would send with `params`.
+const signParams = (params) => ({ ...params, vnp_SecureHash: hashParams(params) });
+
+const isSignedParams = (params) => Boolean(params.vnp_SecureHash) && params.vnp_SecureHash === hashParams(params);
+
+// The refund and querydr API signs a fixed list of fields joined by "|", with missing ones left empty.
+const hashFields = (fields) =>
+  crypto
+    .createHmac("sha512", secureSecret)
+    .update(
+      Buffer.from(
+        fields.map((field) => (field === undefined || field === null ? "" : String(field))).join("|"),
+        "utf-8"
+      )
+    )
+    .digest("hex");
+
+module.exports = { vnpay, tmnCode, getReturnUrl, signParams, isSignedParams, hashFields };